@@ -0,0 +1,213 @@
+// scripts/spectrum.mjs
+// Precomputes the band spectrum CameraWorldRing reads for a song, plus the
+// _meta.json (selected_indices, averages, num_frames, num_bands) that the app
+// and the live-analysis fallback use for normalization.
+//
+//   npm run spectrum -- public/MySong.mp3 [--bands 16] [--fps 30] [--select 0-15]
+//                       [--norm frame|global|none] [--out public/MySong]
+//
+// Writes <out>.json ([{ t, bands }]) and <out>_meta.json; <out> defaults to the
+// input path without its extension. .wav (PCM 16-bit / float) is read directly,
+// anything else is decoded with ffmpeg (must be on PATH).
+import { spawn } from 'node:child_process'
+import { readFile, writeFile } from 'node:fs/promises'
+import { basename, extname } from 'node:path'
+
+const SAMPLE_RATE = 44100
+const FFT_SIZE = 2048
+const F_LO = 40, F_HI = 16000   // same log-spaced layout as useLiveSpectrum
+
+function parseArgs(argv) {
+  const opts = { bands: 16, fps: 30, norm: 'frame', select: null, out: null, input: null }
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i]
+    if (!a.startsWith('--')) { opts.input = a; continue }
+    const key = a.slice(2), val = argv[++i]
+    if (val == null) throw new Error(`missing value for ${a}`)
+    if (key === 'bands' || key === 'fps') opts[key] = Number(val)
+    else if (key === 'norm' || key === 'out' || key === 'select') opts[key] = val
+    else throw new Error(`unknown option ${a}`)
+  }
+  if (!opts.input) throw new Error('usage: spectrum.mjs <audio> [--bands N] [--fps N] [--select 0-15] [--norm frame|global|none] [--out path]')
+  if (!(opts.bands > 0) || !(opts.fps > 0)) throw new Error('--bands and --fps must be positive')
+  if (!['frame', 'global', 'none'].includes(opts.norm)) throw new Error(`unknown --norm ${opts.norm}`)
+  return opts
+}
+
+// "0-3,7,9" → [0,1,2,3,7,9]
+function parseSelect(spec, bands) {
+  if (!spec) return Array.from({ length: bands }, (_, i) => i)
+  const out = []
+  for (const part of spec.split(',')) {
+    const [a, b = a] = part.split('-').map(Number)
+    for (let i = a; i <= b; i++) if (i >= 0 && i < bands && !out.includes(i)) out.push(i)
+  }
+  if (!out.length) throw new Error(`--select ${spec} picks no bands`)
+  return out
+}
+
+/* ---- decoding (mono float32 at SAMPLE_RATE) ---- */
+function decodeWav(buf) {
+  if (buf.toString('ascii', 0, 4) !== 'RIFF' || buf.toString('ascii', 8, 12) !== 'WAVE') return null
+  let off = 12, fmt = null
+  while (off + 8 <= buf.length) {
+    const id = buf.toString('ascii', off, off + 4)
+    const size = buf.readUInt32LE(off + 4)
+    const body = off + 8
+    if (id === 'fmt ') {
+      fmt = {
+        format: buf.readUInt16LE(body),
+        channels: buf.readUInt16LE(body + 2),
+        rate: buf.readUInt32LE(body + 4),
+        bits: buf.readUInt16LE(body + 14),
+      }
+    } else if (id === 'data' && fmt) {
+      const { format, channels, rate, bits } = fmt
+      const float = format === 3 && bits === 32
+      if (!float && !(format === 1 && bits === 16)) return null   // let ffmpeg handle it
+      const bytes = bits / 8
+      const n = Math.floor(size / (bytes * channels))
+      const mono = new Float32Array(n)
+      for (let i = 0; i < n; i++) {
+        let s = 0
+        for (let c = 0; c < channels; c++) {
+          const p = body + (i * channels + c) * bytes
+          s += float ? buf.readFloatLE(p) : buf.readInt16LE(p) / 32768
+        }
+        mono[i] = s / channels
+      }
+      return resample(mono, rate)
+    }
+    off = body + size + (size & 1)
+  }
+  return null
+}
+
+// linear resampling; only used for WAVs not already at SAMPLE_RATE
+function resample(x, rate) {
+  if (rate === SAMPLE_RATE) return x
+  const n = Math.floor(x.length * SAMPLE_RATE / rate)
+  const out = new Float32Array(n)
+  for (let i = 0; i < n; i++) {
+    const p = i * rate / SAMPLE_RATE, i0 = Math.floor(p), f = p - i0
+    out[i] = x[i0] + ((x[i0 + 1] ?? x[i0]) - x[i0]) * f
+  }
+  return out
+}
+
+function decodeFfmpeg(file) {
+  return new Promise((resolve, reject) => {
+    const ff = spawn('ffmpeg', ['-v', 'error', '-i', file, '-ac', '1', '-ar', String(SAMPLE_RATE), '-f', 'f32le', '-'])
+    const chunks = []
+    let err = ''
+    ff.stdout.on('data', c => chunks.push(c))
+    ff.stderr.on('data', c => { err += c })
+    ff.on('error', e => reject(new Error(`ffmpeg not available (${e.message}); install it or pass a .wav`)))
+    ff.on('close', code => {
+      if (code !== 0) return reject(new Error(`ffmpeg exited ${code}: ${err.trim()}`))
+      const buf = Buffer.concat(chunks)
+      resolve(new Float32Array(buf.buffer, buf.byteOffset, buf.length >> 2))
+    })
+  })
+}
+
+/* ---- FFT (in-place radix-2) ---- */
+function fft(re, im) {
+  const n = re.length
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1
+    for (; j & bit; bit >>= 1) j ^= bit
+    j ^= bit
+    if (i < j) { [re[i], re[j]] = [re[j], re[i]]; [im[i], im[j]] = [im[j], im[i]] }
+  }
+  for (let len = 2; len <= n; len <<= 1) {
+    const ang = -2 * Math.PI / len
+    const wr = Math.cos(ang), wi = Math.sin(ang)
+    for (let i = 0; i < n; i += len) {
+      let cr = 1, ci = 0
+      for (let k = 0; k < len / 2; k++) {
+        const a = i + k, b = a + len / 2
+        const tr = re[b] * cr - im[b] * ci
+        const ti = re[b] * ci + im[b] * cr
+        re[b] = re[a] - tr; im[b] = im[a] - ti
+        re[a] += tr; im[a] += ti
+        const nr = cr * wr - ci * wi
+        ci = cr * wi + ci * wr; cr = nr
+      }
+    }
+  }
+}
+
+function analyse(samples, { bands, fps }) {
+  const hop = SAMPLE_RATE / fps
+  const bins = FFT_SIZE / 2
+  const hz = SAMPLE_RATE / FFT_SIZE
+  const edges = Array.from({ length: bands + 1 }, (_, k) =>
+    Math.min(bins, Math.max(1, Math.round(F_LO * Math.pow(F_HI / F_LO, k / bands) / hz))))
+  const win = Float32Array.from({ length: FFT_SIZE }, (_, i) => 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (FFT_SIZE - 1)))
+  const re = new Float32Array(FFT_SIZE), im = new Float32Array(FFT_SIZE)
+
+  const frames = []
+  for (let f = 0; f * hop < samples.length; f++) {
+    const start = Math.round(f * hop - FFT_SIZE / 2)   // frame centred on t
+    for (let i = 0; i < FFT_SIZE; i++) {
+      re[i] = (samples[start + i] ?? 0) * win[i]
+      im[i] = 0
+    }
+    fft(re, im)
+    const out = new Array(bands)
+    for (let k = 0; k < bands; k++) {
+      const i0 = edges[k], i1 = Math.max(edges[k] + 1, edges[k + 1])
+      let e = 0
+      for (let i = i0; i < i1; i++) e += Math.hypot(re[i], im[i])
+      out[k] = e / (i1 - i0)
+    }
+    frames.push({ t: f / fps, bands: out })
+  }
+  return frames
+}
+
+// frame:  loudest band of each frame = 1 (silence stays 0)
+// global: loudest value of the whole song = 1
+function normalize(frames, mode) {
+  if (mode === 'none') return
+  if (mode === 'global') {
+    const max = Math.max(1e-9, ...frames.map(f => Math.max(...f.bands)))
+    for (const f of frames) f.bands = f.bands.map(v => v / max)
+    return
+  }
+  for (const f of frames) {
+    const max = Math.max(...f.bands)
+    f.bands = max > 1e-6 ? f.bands.map(v => v / max) : f.bands.map(() => 0)
+  }
+}
+
+const round = (v, d) => Math.round(v * 10 ** d) / 10 ** d
+
+const opts = parseArgs(process.argv.slice(2))
+const select = parseSelect(opts.select, opts.bands)
+const outBase = opts.out ?? opts.input.slice(0, -extname(opts.input).length || undefined)
+
+const samples = extname(opts.input).toLowerCase() === '.wav'
+  ? decodeWav(await readFile(opts.input)) ?? await decodeFfmpeg(opts.input)
+  : await decodeFfmpeg(opts.input)
+if (!samples.length) throw new Error(`${opts.input}: no audio decoded`)
+
+const frames = analyse(samples, opts)
+normalize(frames, opts.norm)
+
+const spectrum = frames.map(f => ({ t: round(f.t, 3), bands: select.map(i => round(f.bands[i], 4)) }))
+const averages = select.map((_, k) => spectrum.reduce((s, f) => s + f.bands[k], 0) / spectrum.length)
+const meta = {
+  source: `${basename(outBase)}.json`,
+  selected_indices: select,
+  averages,
+  num_frames: spectrum.length,
+  num_bands: select.length,
+  fps: opts.fps,
+  duration: round(samples.length / SAMPLE_RATE, 3),
+}
+
+await writeFile(`${outBase}.json`, JSON.stringify(spectrum))
+await writeFile(`${outBase}_meta.json`, JSON.stringify(meta, null, 2) + '\n')
+console.log(`spectrum: ${spectrum.length} frames × ${select.length} bands → ${outBase}.json, ${outBase}_meta.json`)
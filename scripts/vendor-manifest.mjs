@@ -0,0 +1,37 @@
+// scripts/vendor-manifest.mjs
+// Rebuilds public/vendor/mediapipe/manifest.json (size + SRI sha256 per file)
+// after updating the vendored MediaPipe files. Keeps the existing `required`
+// flags, `requireOneOf` groups and placeholder entries for files not vendored yet.
+//
+//   npm run vendor:manifest
+import { createHash } from 'node:crypto'
+import { readFile, readdir, writeFile } from 'node:fs/promises'
+import { existsSync } from 'node:fs'
+import { join } from 'node:path'
+import { fileURLToPath } from 'node:url'
+
+const DIR = fileURLToPath(new URL('../public/vendor/mediapipe/', import.meta.url))
+const MANIFEST = join(DIR, 'manifest.json')
+
+const prev = existsSync(MANIFEST) ? JSON.parse(await readFile(MANIFEST, 'utf8')) : { files: [] }
+const prevByName = new Map((prev.files || []).map(f => [f.name, f]))
+
+const names = (await readdir(DIR)).filter(n => n !== 'manifest.json').sort()
+const files = []
+for (const name of names) {
+  const buf = await readFile(join(DIR, name))
+  files.push({
+    name,
+    size: buf.length,
+    sha256: createHash('sha256').update(buf).digest('base64'),
+    required: prevByName.get(name)?.required ?? false,
+  })
+}
+// keep known-but-missing files listed so the app can name them
+for (const f of prev.files || []) {
+  if (!names.includes(f.name)) files.push({ name: f.name, size: null, sha256: null, required: f.required ?? false })
+}
+
+const out = { ...prev, files }
+await writeFile(MANIFEST, JSON.stringify(out, null, 2) + '\n')
+console.log(`manifest: ${files.length} entries → ${MANIFEST}`)
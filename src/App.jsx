@@ -301,7 +301,8 @@ function CoasterSpriteCar({
   startU = 0,
   yOffset = 1,
   useTrackNormal = false,
-  speedScale = 1
+  speedScale = 1,
+  whoosh = 0.35           // passing whoosh volume (0 = silent)
 }) {
   const sprite = useRef()
   const map = useTexture(textureUrl)
@@ -356,9 +357,20 @@ function CoasterSpriteCar({
   })
 
   return (
-    <sprite ref={sprite}>
-      <spriteMaterial map={map} transparent depthWrite={false} fog={false} toneMapped={false} />
-    </sprite>
+    <>
+      <sprite ref={sprite}>
+        <spriteMaterial map={map} transparent depthWrite={false} fog={false} toneMapped={false} />
+      </sprite>
+      {whoosh > 0 && (
+        <SpatialSound
+          target={() => sprite.current}
+          synth="whoosh"
+          volume={whoosh}
+          level={() => Math.pow((vRef.current - minV) / Math.max(1e-6, maxV - minV), 2)}
+          refDistance={8}
+        />
+      )}
+    </>
   )
 }
 function BatsJumpHtml({
@@ -372,26 +384,39 @@ function BatsJumpHtml({
   dead = 20,           // ignore tiny motion
   sens = 220,          // sensitivity
   maxJump = 8,         // max jump height in world units
+  jump = null,         // discrete jump event from MotionDetector → extra hop
+  jumpKick = 6,        // hop height for a full-confidence jump
   // flavor
   wobbleAmp = 0.6,
   wobbleFreq = 2.0,
   spinSpeed = 0.05,    // slow spin around ring (set 0 to disable)
-  smooth = 0.25        // 0..1; higher = snappier smoothing
+  smooth = 0.25,       // 0..1; higher = snappier smoothing
+  flutter = 0.25       // wing flutter volume per bat (0 = silent)
 }) {
   const group = useRef()
   const nodes = useRef([])
   useEffect(() => { nodes.current = nodes.current.slice(0, count) }, [count])
 
-  // even angles + tiny per-bat jitter & phases
-  const bats = useMemo(() =>
-    Array.from({ length: count }, (_, i) => ({
-      baseAng: (i / count) * Math.PI * 2,
-      jitter: (Math.random() - 0.5) * 0.12,
-      wobPhase: Math.random() * Math.PI * 2,
-      wobMul: 0.75 + Math.random() * 0.5,    // varied wobble speed
-      jumpCurr: 0                             // smoothed jump
-    }))
-  , [count])
+  // the first ring keeps even angles; extras (combo levels) fill the gaps
+  // between them. Bats are kept across count changes so only the extras come
+  // and go — the rest don't jump and their flutter sounds stay mounted.
+  const pool = useRef([])
+  const base = useRef(count)
+  const bats = useMemo(() => {
+    const n = base.current
+    for (let i = pool.current.length; i < count; i++) {
+      const j = i - n
+      const slot = j < 0 ? i : (j % n) + 0.5 + Math.floor(j / n) * 0.25
+      pool.current.push({
+        baseAng: (slot / n) * Math.PI * 2,
+        jitter: (Math.random() - 0.5) * 0.12,
+        wobPhase: Math.random() * Math.PI * 2,
+        wobMul: 0.75 + Math.random() * 0.5,    // varied wobble speed
+        jumpCurr: 0                             // smoothed jump
+      })
+    }
+    return pool.current.slice(0, count)
+  }, [count])
 
   // map motion → target jump [0..maxJump]
   const jumpTarget = useMemo(() => {
@@ -400,12 +425,19 @@ function BatsJumpHtml({
     return t * maxJump
   }, [motion, dead, sens, maxJump])
 
+  // real jumps give the bats a hop on top of the motion-driven height
+  const kick = useRef(0)
+  useEffect(() => {
+    if (jump) kick.current = Math.max(kick.current, jumpKick * jump.confidence)
+  }, [jump, jumpKick])
+
   // smooth helper
   const lerpExp = (a, b, dt, s= smooth) => a + (b - a) * (1 - Math.pow(1 - s, dt * 60))
 
   useFrame(({ clock }, dtRaw) => {
     const t = clock.getElapsedTime()
     const dt = Math.min(dtRaw, 0.05)
+    kick.current *= Math.exp(-dt * 3)
     for (let i = 0; i < bats.length; i++) {
       const b = bats[i]
       const n = nodes.current[i]
@@ -421,7 +453,7 @@ function BatsJumpHtml({
       const ang = b.baseAng + b.jitter + (spinSpeed ? t * spinSpeed : 0)
       const x = Math.cos(ang) * radius
       const z = Math.sin(ang) * radius
-      const y = baseY + b.jumpCurr + wob
+      const y = baseY + b.jumpCurr + kick.current + wob
 
       n.position.set(x, y, z)
     }
@@ -445,6 +477,16 @@ function BatsJumpHtml({
           </Html>
         </group>
       ))}
+      {flutter > 0 && bats.map((b, i) => (
+        <SpatialSound
+          key={`s${i}`}
+          target={() => nodes.current[i]}
+          synth="flutter"
+          volume={flutter}
+          level={() => 0.6 + 0.4 * Math.min(1, (b.jumpCurr + kick.current) / Math.max(1e-4, maxJump))}
+          refDistance={40}
+        />
+      ))}
     </group>
   )
 }
@@ -458,7 +500,8 @@ function RollerCoaster({
   railColor='#e6d2a3',
   carSize=[0.9, 0.9], carSpeed=0.06, cars=1,
   yOffset=1, useTrackNormal=false,
-  speedScale=1
+  speedScale=1,
+  whoosh=0.35
 }) {
   const centerCurve = useCoasterCurve({ radius, turns, ampY, ampR, freqY, freqR, segments })
   const frames = useMemo(() => centerCurve.computeFrenetFrames(segments, true), [centerCurve, segments])
@@ -485,6 +528,7 @@ function RollerCoaster({
           yOffset={yOffset}
           useTrackNormal={useTrackNormal}
           speedScale={speedScale}
+          whoosh={whoosh}
         />
       ))}
     </group>
@@ -578,8 +622,18 @@ function LightningClassic({
   power = 8.0,
   flashPower = 900,
   // determinism
-  seed = 1337
+  seed = 1337,
+  // gesture-summoned strikes (e.g. both arms raised)
+  gestures = null,
+  summonGesture = 'armsUp',
+  summonCount = 3,
+  summonBoost = 1.8,
+  // ({ position: Vector3, distance, intensity, t }) when a bolt appears
+  onStrike = null
 }) {
+  const { camera } = useThree()
+  const onStrikeRef = React.useRef(onStrike)
+  React.useEffect(() => { onStrikeRef.current = onStrike }, [onStrike])
   const mainGeo = React.useMemo(() => new THREE.BufferGeometry(), [])
   const thickMat = React.useMemo(() => new THREE.LineBasicMaterial({
     color,
@@ -593,7 +647,13 @@ function LightningClassic({
   }), [color])
   const thinMat  = React.useMemo(() => thickMat.clone(), [thickMat])
   const flash = React.useRef()
-  const state = React.useRef({ active: false, t: 0, dur: 0.2, cooldown: 0, strikeSeed: seed })
+  const state = React.useRef({ active: false, t: 0, dur: 0.2, cooldown: 0, strikeSeed: seed, summon: 0, boost: 1 })
+
+  // summoned strikes fire back-to-back and brighter
+  useGesture(gestures, summonGesture, () => {
+    state.current.summon = summonCount
+    state.current.cooldown = 0
+  })
 
   const setAndBound = (geo, pts) => {
     geo.setFromPoints(pts)
@@ -613,10 +673,9 @@ function LightningClassic({
     main = enforceDownward(main)
     if (main[0].y < main[main.length - 1].y) main.reverse()
     setAndBound(mainGeo, main)
-    if (flash.current) {
-      const mid = main[Math.floor(main.length / 2)]
-      flash.current.position.copy(mid)
-    }
+    const mid = main[Math.floor(main.length / 2)]
+    if (flash.current) flash.current.position.copy(mid)
+    return mid
   }
 
   useFrame((_, dt) => {
@@ -628,7 +687,12 @@ function LightningClassic({
         s.active = true
         s.t = 0
         s.dur = THREE.MathUtils.lerp(minDur, maxDur, Math.random())
-        build()
+        s.boost = s.summon > 0 ? summonBoost : 1
+        if (s.summon > 0) s.summon--
+        const mid = build()
+        // longer bolts read as bigger strikes; summoned ones are boosted
+        const intensity = s.boost * (0.5 + 0.5 * (s.dur - minDur) / Math.max(1e-6, maxDur - minDur))
+        onStrikeRef.current?.({ position: mid.clone(), distance: mid.distanceTo(camera.position), intensity, t: performance.now() })
       }
     } else {
       s.t += dt
@@ -639,11 +703,11 @@ function LightningClassic({
 
       thickMat.opacity = Math.min(1, 1.0 * o * power)
       thinMat .opacity = Math.min(1, 0.7  * o * power)
-      if (flash.current) flash.current.intensity = flashPower * o
+      if (flash.current) flash.current.intensity = flashPower * o * s.boost
 
       if (s.t >= s.dur) {
         s.active = false
-        s.cooldown = THREE.MathUtils.lerp(minDelay, maxDelay, Math.random())
+        s.cooldown = s.summon > 0 ? 0 : THREE.MathUtils.lerp(minDelay, maxDelay, Math.random())
         thickMat.opacity = 0
         thinMat .opacity = 0
         if (flash.current) flash.current.intensity = 0
@@ -666,11 +730,169 @@ function LightningClassic({
   )
 }
 
+/* -------------------- Thunder (strike → sample) -------------------- */
+/**
+ * Plays a random thunder sample per strike on the shared AudioContext, panned
+ * to the bolt and delayed by its distance (sound travels `speedOfSound` m/s,
+ * one scene unit = `metersPerUnit` m), louder for stronger strikes. Strikes
+ * are far more frequent than thunder should be, so there is a minimum gap and
+ * a voice cap; all voices share a compressor into the sfx bus so overlaps
+ * stay under the music.
+ */
+function makeThunder({
+  urls = ['lightning.mp3', 'lightning1.mp3', 'lightning2.mp3'].map(f => `${BASE}${f}`),
+  volume = 0.8,
+  minGap = 1.2,          // s between thunder starts
+  maxVoices = 3,
+  speedOfSound = 343,
+  metersPerUnit = 10,
+  refDistance = 30       // scene units before distance attenuation starts
+} = {}) {
+  let buffers = null, bus = null, last = -Infinity
+  const voices = []
+
+  const setup = (ctx, sfx) => {
+    if (!bus) {
+      const comp = ctx.createDynamicsCompressor()
+      comp.threshold.value = -24
+      comp.knee.value = 6
+      comp.ratio.value = 12
+      comp.attack.value = 0.003
+      comp.release.value = 0.25
+      bus = ctx.createGain()
+      bus.gain.value = volume
+      bus.connect(comp).connect(sfx)
+    }
+    if (!buffers) {
+      buffers = Promise.all(urls.map(u => fetch(u)
+        .then(r => { if (!r.ok) throw new Error(`${u}: ${r.status}`); return r.arrayBuffer() })
+        .then(b => ctx.decodeAudioData(b))
+        .catch(e => { console.warn('[Thunder] sample failed:', e); return null })))
+        .then(list => list.filter(Boolean))
+    }
+    return buffers
+  }
+
+  return {
+    async play({ position = null, distance = 0, intensity = 1 } = {}) {
+      const buses = getAudioBuses()
+      const ctx = buses?.ctx
+      if (!ctx || ctx.state !== 'running') return   // not unlocked yet
+      if (ctx.currentTime - last < minGap) return
+      last = ctx.currentTime
+      const list = await setup(ctx, buses.sfx)
+      if (!list.length) return
+
+      while (voices.length >= maxVoices) {
+        const v = voices.shift()
+        v.gain.gain.setTargetAtTime(0, ctx.currentTime, 0.05)
+        v.src.stop(ctx.currentTime + 0.3)
+      }
+      const src = ctx.createBufferSource()
+      src.buffer = list[Math.floor(Math.random() * list.length)]
+      src.playbackRate.value = 0.9 + Math.random() * 0.2
+      const gain = ctx.createGain()
+      gain.gain.value = Math.min(1.5, intensity)
+      const panner = makePanner(ctx, { refDistance, rolloff: 1 })
+      if (position) setPannerPosition(panner, position, ctx)
+      src.connect(gain).connect(panner).connect(bus)
+      const voice = { src, gain }
+      voices.push(voice)
+      src.onended = () => { const i = voices.indexOf(voice); if (i >= 0) voices.splice(i, 1); panner.disconnect() }
+      src.start(ctx.currentTime + (distance * metersPerUnit) / speedOfSound)
+    }
+  }
+}
+
 
 /* -------------------- Rain (fast line-segment rain) -------------------- */
+// Motion → rain, two stages: an "energy" 0..1 from motion plus a surge that
+// fades after a real jump; the first `split` of it fades the rain in (opacity),
+// the rest adds drops. App's visuals and the rain field's count both use it.
+const rainEnergy = (motion, jump, since, m) => {
+  const surge = m.jumpBoost * (jump?.confidence ?? 0) * Math.exp(-since / m.jumpDecay)
+  return 1 - Math.exp(-(Math.max(0, motion) + surge) / m.sens)
+}
+function rainMix(t, m) {
+  if (t <= m.split) {
+    // Phase A: only opacity grows (count fixed at min)
+    const k = t / Math.max(1e-6, m.split)   // 0..1
+    return { opacity: THREE.MathUtils.lerp(m.minOpacity, m.maxOpacity, k), count: m.minCount }
+  }
+  // Phase B: opacity pinned max, count grows
+  const k = (t - m.split) / Math.max(1e-6, 1 - m.split)   // 0..1
+  return { opacity: m.maxOpacity, count: Math.round(THREE.MathUtils.lerp(m.minCount, m.maxCount, k)) }
+}
+
+// Drops live in a field so catching can be part of the score sim: during a
+// round makeScoreSim steps it on the song-clock grid (fixed dt, seeded respawns,
+// catch tests against the catcher's zone) and Rain only draws it. The drop
+// count comes from the sim's motion and jumps through rainMix (see `density`).
+// Outside a round Rain drifts it by frame time, just for looks.
+function makeRainField({ catcher = null, seed = 1 } = {}) {
+  let cfg = { max: 0, areaRadius: 60, areaHeight: 40, groundY: -1.6, speed: 26, windX: 1.8, windZ: -0.6 }
+  let p = new Float32Array(0)
+  let v = new Float32Array(0)
+  let rand = mulberry32(seed)
+  let mix = null        // rainMix settings (+ sens, jumpBoost, jumpDecay)
+  let n = 0             // drops in play (drawn + catchable)
+  let jump = null       // last landing on the sim's grid: { t, confidence }
+
+  const place = (i, top) => {
+    const i3 = i * 3
+    const t = rand() * Math.PI * 2
+    const r = Math.sqrt(rand()) * cfg.areaRadius
+    p[i3+0] = Math.cos(t) * r
+    p[i3+1] = cfg.groundY + (top ? cfg.areaHeight : rand() * cfg.areaHeight)
+    p[i3+2] = Math.sin(t) * r
+  }
+  const layout = () => {
+    rand = mulberry32(seed)
+    p = new Float32Array(cfg.max * 3)
+    v = new Float32Array(cfg.max * 3)
+    for (let i = 0; i < cfg.max; i++) {
+      const i3 = i * 3
+      place(i, false)
+      v[i3+0] = cfg.windX * (0.6 + rand() * 0.8)
+      v[i3+1] = -(cfg.speed * (0.7 + rand() * 0.6))
+      v[i3+2] = cfg.windZ * (0.6 + rand() * 0.8)
+    }
+  }
+  const move = (dt, catching) => {
+    for (let i = 0; i < cfg.max; i++) {
+      const i3 = i * 3
+      p[i3+0] += v[i3+0] * dt
+      p[i3+1] += v[i3+1] * dt
+      p[i3+2] += v[i3+2] * dt
+      // reset when below ground (or caught → respawn at the top)
+      if (p[i3+1] < cfg.groundY || (catching && i < n && catcher.test(p[i3+0], p[i3+1], p[i3+2]))) place(i, true)
+    }
+  }
+  const idle = () => Math.min(cfg.max, mix?.minCount ?? 0)
+  return {
+    get p() { return p },
+    get v() { return v },
+    get n() { return n },
+    get max() { return cfg.max },
+    configure(next) { cfg = { ...cfg, ...next }; layout(); n = idle() },
+    density(m) { mix = m },
+    reset() { layout(); catcher?.close(); n = idle(); jump = null },
+    // sim parts: jumps and steps arrive on the song-time grid
+    jump(j, t) { jump = { t, confidence: j.confidence } },
+    step(t, dt, motion = 0) {
+      if (mix) n = Math.min(cfg.max, rainMix(rainEnergy(motion, jump, jump ? (t - jump.t) * 1000 : Infinity, mix), mix).count)
+      const catching = catcher?.active(t)
+      move(dt, catching)
+      if (catching) catcher.flush()
+    },
+    drift: (dt) => move(dt, false)
+  }
+}
+
 function Rain({
   enabled = true,
   count = 1500,
+  maxCount = count,     // field size; `count` can change up to it without a re-layout
   areaRadius = 60,
   areaHeight = 40,
   groundY = -1.6,
@@ -679,7 +901,9 @@ function Rain({
   windX = 1.8,
   windZ = -0.6,
   color = '#a9c8ff',
-  opacity = 0.75
+  opacity = 0.75,
+  field = null,         // makeRainField(); Rain keeps its own if none is given
+  simulated = false     // the score sim steps the field (and sets its count): just draw it
 }) {
   const geoRef = useRef()
   const lineMat = useMemo(
@@ -694,30 +918,13 @@ function Rain({
     [color, opacity]
   )
 
-  const state = useMemo(() => {
-    const p = new Float32Array(count * 3)
-    const v = new Float32Array(count * 3)
-    const rndInDisc = () => {
-      const t = Math.random() * Math.PI * 2
-      const r = Math.sqrt(Math.random()) * areaRadius
-      return [Math.cos(t) * r, Math.sin(t) * r]
-    }
-    for (let i = 0; i < count; i++) {
-      const i3 = i * 3
-      const [rx, rz] = rndInDisc()
-      p[i3+0] = rx
-      p[i3+1] = groundY + Math.random() * areaHeight
-      p[i3+2] = rz
-
-      const vy = -(speed * (0.7 + Math.random() * 0.6))
-      v[i3+0] = windX * (0.6 + Math.random() * 0.8)
-      v[i3+1] = vy
-      v[i3+2] = windZ * (0.6 + Math.random() * 0.8)
-    }
-    return { p, v }
-  }, [count, areaRadius, areaHeight, groundY, speed, windX, windZ])
+  const own = useMemo(() => makeRainField(), [])
+  const drops = field ?? own
+  useEffect(() => {
+    drops.configure({ max: maxCount, areaRadius, areaHeight, groundY, speed, windX, windZ })
+  }, [drops, maxCount, areaRadius, areaHeight, groundY, speed, windX, windZ])
 
-  const positions = useMemo(() => new Float32Array(count * 2 * 3), [count])
+  const positions = useMemo(() => new Float32Array(maxCount * 2 * 3), [maxCount])
 
   useEffect(() => {
     if (!geoRef.current) return
@@ -728,29 +935,16 @@ function Rain({
 
   useFrame((_, dtRaw) => {
     if (!enabled || !geoRef.current) return
-    const dt = Math.min(dtRaw, 0.05)
-    const { p, v } = state
+    if (!simulated) drops.drift(Math.min(dtRaw, 0.05))
+    const { p, v } = drops
+    const n = Math.min(simulated ? drops.n : count, drops.max, maxCount)
     const posAttr = geoRef.current.getAttribute('position')
     const arr = posAttr.array
 
-    for (let i = 0; i < count; i++) {
+    for (let i = 0; i < n; i++) {
       const i3 = i * 3
       const i6 = i * 6
 
-      // integrate
-      p[i3+0] += v[i3+0] * dt
-      p[i3+1] += v[i3+1] * dt
-      p[i3+2] += v[i3+2] * dt
-
-      // reset when below ground
-      if (p[i3+1] < groundY) {
-        const t = Math.random() * Math.PI * 2
-        const r = Math.sqrt(Math.random()) * areaRadius
-        p[i3+0] = Math.cos(t) * r
-        p[i3+1] = groundY + areaHeight
-        p[i3+2] = Math.sin(t) * r
-      }
-
       // head
       const hx = p[i3+0], hy = p[i3+1], hz = p[i3+2]
       arr[i6+0] = hx
@@ -767,6 +961,7 @@ function Rain({
       arr[i6+5] = hz - vz * k
     }
 
+    geoRef.current.setDrawRange(0, n * 2)
     posAttr.needsUpdate = true
     geoRef.current.computeBoundingSphere()
   })
@@ -780,6 +975,189 @@ function Rain({
   )
 }
 
+/* -------------------- Rain catching (jump → catch zone) -------------------- */
+// A jump opens a vertical column in front of the camera from takeoff until a
+// moment after landing; the rain field tests its drops against it, caught drops
+// respawn and leave a burst. Emits 'catch' { n, mult } once per step with anything
+// caught. Zone times (from/until) are song time, on `clock`. `zone` is the latest
+// state (drawn); each open() is also queued at its song time `at` and the sim's
+// steps, which run behind the clock, see it only from then on.
+function makeRainCatcher({ clock = () => performance.now() / 1000, maxBursts = 48 } = {}) {
+  const events = makeEmitter()
+  const CLOSED = { x: 0, z: 0, y0: 0, y1: 0, r: 0, from: 0, until: 0, mult: 1, takeoff: null }
+  const zone = { ...CLOSED }
+  const grid = { ...CLOSED }   // as of the last active(t)
+  let patches = []             // pending [songTime, patch], by time
+  const now = () => clock() ?? 0
+  let bursts = []
+  let caught = 0
+  let air = null   // latest airborne sample (input onAir), picked up by CatchZone
+  return {
+    on: events.on,
+    zone,
+    now,
+    // input events are stamped with performance.now() → the song time they happened at
+    songTime: (ms) => now() - (performance.now() - ms) / 1000,
+    open(z, at = now()) {
+      Object.assign(zone, z)
+      let i = patches.length
+      while (i > 0 && patches[i - 1][0] > at) i--
+      patches.splice(i, 0, [at, z])
+    },
+    close() {
+      Object.assign(zone, CLOSED)
+      Object.assign(grid, CLOSED)
+      patches = []
+    },
+    air: (ev) => { air = ev },
+    takeAir() {
+      const a = air
+      air = null
+      return a
+    },
+    active(t) {
+      while (patches.length && patches[0][0] <= t) Object.assign(grid, patches.shift()[1])
+      return t >= grid.from && t < grid.until
+    },
+    test(x, y, z) {
+      const dx = x - grid.x, dz = z - grid.z
+      if (y < grid.y0 || y > grid.y1 || dx * dx + dz * dz > grid.r * grid.r) return false
+      caught++
+      if (bursts.length < maxBursts) bursts.push([x, y, z])
+      return true
+    },
+    flush() {
+      if (caught) events.emit('catch', { n: caught, mult: grid.mult })
+      caught = 0
+    },
+    takeBursts() {
+      const out = bursts
+      bursts = []
+      return out
+    }
+  }
+}
+
+/**
+ * Opens the catcher's zone at takeoff (airborne samples) and keeps it open
+ * `hold` ms past the last sample; the radius follows the jump height so far
+ * (full size at `fullHeight`). The landing event settles radius (× confidence)
+ * and the timing multiplier. Draws the column while open and the catch bursts.
+ */
+function CatchZone({
+  catcher,
+  jump = null,
+  enabled = true,
+  reach = 10,           // distance in front of the camera
+  minRadius = 3,
+  maxRadius = 9,
+  fullHeight = 0.2,     // jump height (body-normalized) for maxRadius
+  groundY = -1.6,
+  top = 8,
+  hold = 600,
+  color = '#ffe98a'
+}) {
+  const { camera } = useThree()
+  const colRef = useRef()
+  const lastJumpId = useRef(jump?.id ?? 0)
+
+  const radiusFor = React.useCallback((height) => (
+    THREE.MathUtils.lerp(minRadius, maxRadius, THREE.MathUtils.clamp(height / fullHeight, 0, 1))
+  ), [minRadius, maxRadius, fullHeight])
+
+  // a new takeoff places the column in front of where the camera looks now;
+  // `at` is the event's song time, so steps from then on see the zone
+  const openAt = React.useCallback((takeoff, at, patch) => {
+    if (catcher.zone.takeoff !== takeoff) {
+      const dir = camera.getWorldDirection(new THREE.Vector3())
+      dir.y = 0
+      dir.normalize()
+      catcher.open({
+        x: camera.position.x + dir.x * reach,
+        z: camera.position.z + dir.z * reach,
+        y0: groundY,
+        y1: top,
+        mult: 1,
+        from: at,
+        takeoff
+      }, at)
+    }
+    catcher.open({ until: at + hold / 1000, ...patch }, at)
+  }, [catcher, camera, reach, groundY, top, hold])
+
+  // landing: final size and the jump's timing grade
+  useEffect(() => {
+    if (!jump || jump.id === lastJumpId.current) return
+    lastJumpId.current = jump.id
+    if (!enabled) return
+    openAt(jump.takeoff, catcher.songTime(jump.landing), {
+      r: radiusFor(jump.height) * (0.5 + 0.5 * (jump.confidence ?? 1)),
+      mult: jump.timing?.mult ?? 1
+    })
+  }, [jump, enabled, catcher, openAt, radiusFor])
+
+  // burst particles: fixed pool, 6 sparks per caught drop
+  const SPARKS = 6, POOL = 384
+  const sparks = useMemo(() => ({
+    pos: new Float32Array(POOL * 3),
+    vel: new Float32Array(POOL * 3),
+    life: new Float32Array(POOL),
+    next: 0
+  }), [])
+  const sparkGeo = useMemo(() => {
+    const g = new THREE.BufferGeometry()
+    g.setAttribute('position', new THREE.BufferAttribute(sparks.pos, 3))
+    return g
+  }, [sparks])
+  useEffect(() => () => sparkGeo.dispose(), [sparkGeo])
+
+  useFrame((_, dtRaw) => {
+    const dt = Math.min(dtRaw, 0.05)
+    const a = catcher.takeAir()
+    if (a && enabled) openAt(a.takeoff, catcher.songTime(a.t), { r: Math.max(radiusFor(a.height), catcher.zone.takeoff === a.takeoff ? catcher.zone.r : 0) })
+    const z = catcher.zone
+    const left = (z.until - catcher.now()) * 1000
+
+    if (colRef.current) {
+      colRef.current.visible = enabled && left > 0
+      if (left > 0) {
+        colRef.current.position.set(z.x, (z.y0 + z.y1) / 2, z.z)
+        colRef.current.scale.set(z.r, z.y1 - z.y0, z.r)
+        colRef.current.material.opacity = 0.12 * Math.min(1, left / 250)
+      }
+    }
+
+    for (const [x, y, zz] of catcher.takeBursts()) {
+      for (let s = 0; s < SPARKS; s++) {
+        const i = sparks.next
+        sparks.next = (i + 1) % POOL
+        sparks.pos.set([x, y, zz], i * 3)
+        sparks.vel.set([(Math.random() - 0.5) * 4, Math.random() * 3, (Math.random() - 0.5) * 4], i * 3)
+        sparks.life[i] = 0.5
+      }
+    }
+    for (let i = 0; i < POOL; i++) {
+      if (sparks.life[i] <= 0) { sparks.pos[i * 3 + 1] = -1e4; continue }   // parked out of view
+      sparks.life[i] -= dt
+      sparks.vel[i * 3 + 1] -= 9.8 * dt
+      for (let a = 0; a < 3; a++) sparks.pos[i * 3 + a] += sparks.vel[i * 3 + a] * dt
+    }
+    sparkGeo.attributes.position.needsUpdate = true
+  })
+
+  return (
+    <group>
+      <mesh ref={colRef} visible={false} renderOrder={997}>
+        <cylinderGeometry args={[1, 1, 1, 32, 1, true]} />
+        <meshBasicMaterial color={color} transparent opacity={0.12} depthWrite={false} side={THREE.DoubleSide} />
+      </mesh>
+      <points geometry={sparkGeo} frustumCulled={false} renderOrder={999}>
+        <pointsMaterial color={color} size={0.25} transparent opacity={0.9} depthWrite={false} blending={THREE.AdditiveBlending} />
+      </points>
+    </group>
+  )
+}
+
 /* -------------------- Image Ring (per-item overrides via 'items') -------------------- */
 function ImageRing({
   enabled = true,
@@ -855,14 +1233,26 @@ function CameraWorldRing({
   size = 1.6,
   opacity = 1,
   // NEW: audio-driven props
-  audioRef = null,
-  spectrum = null,     // [{ t, bands:[20] }, ...]
+  clock = null,        // () => song time (s) or null (audio engine)
+  spectrum = null,     // [{ t, bands:[numBands] }, ...] (precomputed or live)
+  numBands = 16,
   jumpAmp = 2.5,
   scalePulse = 0.25,
-  smooth = 0.88
+  smooth = 0.88,
+  // hand mini-game: sprites fall toward the player, wrists catch them
+  hands = null,        // makeHandTracker() while the mini-game runs
+  onCatch,             // ({ index, t }) per caught sprite
+  dropEvery = 6,       // s between falls (±30%)
+  fallTime = 3.5,      // s from the ring to the bottom
+  fallDepth = 3,
+  handRadius = 0.06    // screen-height fraction around each wrist
 }) {
   const { camera } = useThree()
   const spriteRefs = useRef([])
+  const fallsRef = useRef({ next: 0, map: new Map() })   // index → { t, pop }
+  const onCatchRef = useRef(onCatch)
+  onCatchRef.current = onCatch
+  const tmpV = useMemo(() => new THREE.Vector3(), [])
   const maps = useTexture(images)
 
   useMemo(() => {
@@ -880,29 +1270,25 @@ function CameraWorldRing({
     [images]
   )
 
-  // RANDOM band index for each sprite (0..19), stable for this mount
+  // RANDOM band index for each sprite (0..numBands-1), stable for this mount
   const bandMap = useMemo(
-    () => images.map(() => Math.floor(Math.random() * 16)),
-    [images]
+    () => images.map(() => Math.floor(Math.random() * numBands)),
+    [images, numBands]
   )
 
   const ySmooth = useRef(new Float32Array(images.length))
   const cursor = useRef(0)
 
-  // last spectrum time (for wrapping)
-  const lastT = useMemo(
-    () => (spectrum && spectrum.length ? spectrum[spectrum.length - 1].t || 0 : 0),
-    [spectrum]
-  )
-
   // Interpolated bands at time t
   const tmpBandsRef = useRef(null)
   const bandsAt = (t) => {
     const data = spectrum
     if (!data || !data.length) return null
 
-    // Wrap time if we know the total length
-    const tt = lastT > 0 ? (t % lastT) : t
+    // Wrap time if the data is shorter than the song (a live spectrum grows
+    // while playing, so its last frame is always just behind t)
+    const lastT = data[data.length - 1].t || 0
+    const tt = lastT > 0 && t > lastT + 1 ? (t % lastT) : t
 
     let i = Math.min(cursor.current, data.length - 1)
     while (i + 1 < data.length && data[i + 1].t <= tt) i++
@@ -913,8 +1299,10 @@ function CameraWorldRing({
     const b = data[i + 1] || a
     const f = b.t > a.t ? (tt - a.t) / (b.t - a.t) : 0
 
-    const out = tmpBandsRef.current || (tmpBandsRef.current = new Float32Array(20))
-    for (let k = 0; k < 20; k++) {
+    const n = a.bands?.length ?? 0
+    if (tmpBandsRef.current?.length !== n) tmpBandsRef.current = new Float32Array(n)
+    const out = tmpBandsRef.current
+    for (let k = 0; k < n; k++) {
       const av = a.bands?.[k] ?? 0
       const bv = b.bands?.[k] ?? 0
       out[k] = av + (bv - av) * f
@@ -930,16 +1318,35 @@ function CameraWorldRing({
     const cy = camera.position.y + heightOffset
     const cz = camera.position.z
 
-    const tAudio = audioRef?.current ? audioRef.current.currentTime : null
+    const tAudio = clock ? clock() : null
     const bands = tAudio != null ? bandsAt(tAudio) : null
     const lerpK = 1 - Math.pow(1 - smooth, dt * 60)
 
+    // mini-game: start a fall now and then (a sprite currently on screen)
+    const now = performance.now()
+    const falls = fallsRef.current
+    if (!hands) {
+      if (falls.map.size) { for (const i of falls.map.keys()) if (spriteRefs.current[i]) spriteRefs.current[i].material.opacity = opacity; falls.map.clear() }
+    } else if (now > falls.next) {
+      falls.next = now + dropEvery * 1000 * (0.7 + Math.random() * 0.6)
+      const visible = spriteRefs.current
+        .map((s, i) => (s && !falls.map.has(i) && Math.abs(tmpV.copy(s.position).project(camera).x) < 0.7 && tmpV.z < 1 ? i : -1))
+        .filter(i => i >= 0)
+      if (visible.length) falls.map.set(visible[Math.floor(Math.random() * visible.length)], { t: now, pop: 0 })
+    }
+    const seen = hands?.get(now) ?? []
+    const viewH = 2 * Math.tan(THREE.MathUtils.degToRad(camera.fov ?? 60) / 2)
+
     angles.forEach((a, i) => {
       const s = spriteRefs.current[i]
       if (!s) return
 
-      const x = cx + Math.cos(a) * radius
-      const z = cz + Math.sin(a) * radius
+      const f = falls.map.get(i)
+      // a caught sprite holds the spot it was caught at while it pops
+      const p = !f ? 0 : f.pop ? f.p : Math.min(1, (now - f.t) / (fallTime * 1000))
+      const r = radius * (1 - 0.55 * p)           // falling sprites come closer…
+      const x = cx + Math.cos(a) * r
+      const z = cz + Math.sin(a) * r
 
       let jump = 0
       if (bands) {
@@ -958,8 +1365,31 @@ function CameraWorldRing({
         jump = ySmooth.current[i]
       }
 
-      s.position.set(x, cy + jump, z)
+      s.position.set(x, cy + jump - p * fallDepth, z)   // …and drop
       s.quaternion.copy(camera.quaternion)
+      if (!f) return
+
+      if (f.pop) {
+        // caught: swell + fade, then back on the ring
+        const k = (now - f.pop) / 300
+        s.scale.multiplyScalar(1 + k)
+        s.material.opacity = opacity * Math.max(0, 1 - k)
+        if (k >= 1) { s.material.opacity = opacity; falls.map.delete(i) }
+        return
+      }
+      if (p >= 1) { falls.map.delete(i); return }   // missed
+
+      // hit test in screen space (0..1, y down), x scaled by aspect so it's round
+      tmpV.copy(s.position).project(camera)
+      if (tmpV.z > 1) return
+      const sx = (tmpV.x + 1) / 2, sy = (1 - tmpV.y) / 2
+      const sr = s.scale.y / (viewH * s.position.distanceTo(camera.position)) / 2
+      const aspect = camera.aspect ?? 1
+      if (seen.some(h => Math.hypot((h.x - sx) * aspect, h.y - sy) < sr + handRadius)) {
+        f.pop = now
+        f.p = p
+        onCatchRef.current?.({ index: i, t: now })
+      }
     })
   })
 
@@ -987,203 +1417,1857 @@ function CameraWorldRing({
   )
 }
 
+/* -------------------- Web Audio (shared) -------------------- */
+// One AudioContext for the app, and at most one MediaElementSource per element
+// (a second createMediaElementSource on the same element throws). Once routed,
+// the element plays through the context, so unlock has to resume it.
+let sharedAudioCtx = null
+function getAudioContext() {
+  if (!sharedAudioCtx) {
+    const AC = window.AudioContext || window.webkitAudioContext
+    sharedAudioCtx = AC ? new AC() : null
+  }
+  return sharedAudioCtx
+}
 
-function MotionDetector({ onChange, debug=false }) {
-  const videoRef = React.useRef(null)
-  const prevLmRef = React.useRef(null)
-  const poseRef = React.useRef(null)
-  const rafRef = React.useRef(0)
-  const waitingGesture = React.useRef(false)
-  const startedRef = React.useRef(false)
-
-  const PUBLIC_BASE = (typeof BASE === 'string' && BASE) ? BASE : '/'
-  const LOCAL_BASE = new URL(`${PUBLIC_BASE}vendor/mediapipe/`, window.location.href).href
-  const CDN_UNPKG = 'https://unpkg.com/@mediapipe/pose@0.5.167/'
-  const CDN_JSD   = 'https://cdn.jsdelivr.net/npm/@mediapipe/pose@0.5.167/'
-  const BASES = [LOCAL_BASE, CDN_UNPKG, CDN_JSD]
-
-  const loadTag = (src) => new Promise((res, rej) => {
-    const s = document.createElement('script')
-    s.src = src; s.async = true
-    s.onload = () => res(src)
-    s.onerror = () => rej(new Error(`Failed to load <script> ${src}`))
-    document.head.appendChild(s)
-  })
-
-  async function probeBase(base) {
-    try {
-      const checks = await Promise.all([
-        fetch(base + 'pose.js', { cache: 'no-store' }),
-        fetch(base + 'pose_solution_packed_assets_loader.js', { cache: 'no-store' }),
-        fetch(base + 'pose_solution_packed_assets.data', { cache: 'no-store' }),
-      ])
-      return checks.every(r => r.ok)
-    } catch { return false }
+// Buses: music (the <audio> element) and sfx (thunder, whoosh, flutter) → master.
+// `fade` sits in front of music and belongs to the audio engine (fades), so the
+// music slider stays the user's.
+let sharedBuses = null
+function getAudioBuses() {
+  const ctx = getAudioContext()
+  if (!ctx) return null
+  if (!sharedBuses) {
+    const master = ctx.createGain()
+    const music = ctx.createGain()
+    const sfx = ctx.createGain()
+    const fade = ctx.createGain()
+    master.connect(ctx.destination)
+    music.connect(master)
+    sfx.connect(master)
+    fade.connect(music)
+    sharedBuses = { ctx, master, music, sfx, fade }
   }
+  return sharedBuses
+}
 
-  async function loadPoseFrom(baseHref) {
-    if (baseHref === LOCAL_BASE) {
-      const ok = await probeBase(baseHref)
-      if (!ok) throw new Error(`Local assets missing at ${baseHref}`)
-    }
-    await loadTag(`${baseHref}pose.js`)
-    const PoseNS = window.Pose || window.pose
-    const PoseCtor = PoseNS?.Pose || PoseNS
-    if (typeof PoseCtor !== 'function') throw new Error('Pose constructor not found')
+const VOLUME_KEY = 'rih.volume'
+const DEFAULT_VOLUME = { master: 1, music: 1, sfx: 0.8 }
+const loadVolume = () => {
+  try { return { ...DEFAULT_VOLUME, ...JSON.parse(localStorage.getItem(VOLUME_KEY)) } } catch { return { ...DEFAULT_VOLUME } }
+}
+const hasStoredVolume = () => {
+  try { return !!localStorage.getItem(VOLUME_KEY) } catch { return false }
+}
+const saveVolume = (v) => {
+  try { localStorage.setItem(VOLUME_KEY, JSON.stringify(v)) } catch (e) { console.warn('Volume not saved:', e) }
+}
+function setBusVolumes(volume) {
+  const b = getAudioBuses()
+  if (!b) return
+  for (const k of ['master', 'music', 'sfx']) b[k].gain.setTargetAtTime(volume[k] ?? 1, b.ctx.currentTime, 0.05)
+}
 
-    const pose = new PoseCtor({ locateFile: (f) => baseHref + f })
-    pose.onResults(onResults)
-    if (typeof pose.initialize === 'function') await pose.initialize()
-    pose.setOptions({
-      selfieMode: true,
-      modelComplexity: 0,
-      smoothLandmarks: true,
-      enableSegmentation: false,
-      minDetectionConfidence: 0.4,       // ↓ slight relax
-      minTrackingConfidence: 0.4,
-    })
-    return pose
+const mediaSources = new WeakMap()
+function mediaSourceFor(el) {
+  const buses = getAudioBuses()
+  if (!buses || !el) return null
+  if (!mediaSources.has(el)) {
+    const src = buses.ctx.createMediaElementSource(el)
+    src.connect(buses.fade)
+    mediaSources.set(el, src)
   }
+  return mediaSources.get(el)
+}
 
-  async function loadPose() {
-    let lastErr = null
-    for (const base of BASES) {
-      try {
-        debug && console.log('[MotionDetector] loading pose from:', base)
-        const p = await loadPoseFrom(base)
-        debug && console.log('[MotionDetector] pose loaded from:', base)
-        return p
-      } catch (e) { lastErr = e; console.warn('[MotionDetector] failed from base:', base, e) }
-    }
-    throw lastErr || new Error('All pose bases failed')
+/* -------------------- Spatial audio -------------------- */
+// AudioParam setters with the deprecated-method fallback (older Safari)
+function setPannerPosition(panner, p, ctx) {
+  if (panner.positionX) {
+    panner.positionX.setValueAtTime(p.x, ctx.currentTime)
+    panner.positionY.setValueAtTime(p.y, ctx.currentTime)
+    panner.positionZ.setValueAtTime(p.z, ctx.currentTime)
+  } else {
+    panner.setPosition(p.x, p.y, p.z)
   }
+}
 
-  const onResults = React.useCallback((res) => {
-    const lm = res.poseLandmarks
-    if (debug) console.log('[MotionDetector] results?', !!lm)
+function makePanner(ctx, { refDistance = 10, rolloff = 1 } = {}) {
+  const panner = ctx.createPanner()
+  panner.panningModel = 'HRTF'
+  panner.distanceModel = 'inverse'
+  panner.refDistance = refDistance
+  panner.rolloffFactor = rolloff
+  return panner
+}
 
-    const now = performance.now()
-    let st = prevLmRef.current
-    if (!st || st.__v !== 3) st = (prevLmRef.current = { __v:3, y:null, t:0, out:0, last:0 })
+// The Web Audio listener follows the (OrbitControls) camera
+function AudioListenerSync() {
+  const { camera } = useThree()
+  const fwd = useMemo(() => new THREE.Vector3(), [])
+  const up = useMemo(() => new THREE.Vector3(), [])
+  useFrame(() => {
+    const ctx = getAudioContext()
+    if (!ctx || ctx.state !== 'running') return
+    const l = ctx.listener
+    const p = camera.position
+    camera.getWorldDirection(fwd)
+    up.copy(camera.up).applyQuaternion(camera.quaternion)
+    if (l.positionX) {
+      const t = ctx.currentTime
+      l.positionX.setValueAtTime(p.x, t); l.positionY.setValueAtTime(p.y, t); l.positionZ.setValueAtTime(p.z, t)
+      l.forwardX.setValueAtTime(fwd.x, t); l.forwardY.setValueAtTime(fwd.y, t); l.forwardZ.setValueAtTime(fwd.z, t)
+      l.upX.setValueAtTime(up.x, t); l.upY.setValueAtTime(up.y, t); l.upZ.setValueAtTime(up.z, t)
+    } else {
+      l.setPosition(p.x, p.y, p.z)
+      l.setOrientation(fwd.x, fwd.y, fwd.z, up.x, up.y, up.z)
+    }
+  })
+  return null
+}
 
-    // throttle AFTER we know whether we got landmarks (so we can zero quickly when they’re missing)
-    const MIN_GAP_MS = 1000/15
-    if (now - st.last < MIN_GAP_MS) return
-    st.last = now
+// Procedural loops (no sample files): 'whoosh' = soft low noise,
+// 'flutter' = noise chopped at wing-beat rate
+const synthBuffers = new Map()
+function synthBuffer(ctx, kind) {
+  if (synthBuffers.has(kind)) return synthBuffers.get(kind)
+  const len = Math.floor(ctx.sampleRate * 2)
+  const buf = ctx.createBuffer(1, len, ctx.sampleRate)
+  const d = buf.getChannelData(0)
+  let lp = 0, prev = 0
+  for (let i = 0; i < len; i++) {
+    const w = Math.random() * 2 - 1
+    if (kind === 'flutter') {
+      const beat = Math.pow(Math.abs(Math.sin(Math.PI * 17 * i / ctx.sampleRate)), 3)
+      d[i] = (w - prev) * 0.5 * beat   // differenced → papery
+      prev = w
+    } else {
+      lp += (w - lp) * 0.04            // one-pole low-pass → rumble/whoosh
+      d[i] = lp * 3
+    }
+  }
+  // fade the loop seam
+  const fade = Math.floor(ctx.sampleRate * 0.02)
+  for (let i = 0; i < fade; i++) { d[i] *= i / fade; d[len - 1 - i] *= i / fade }
+  synthBuffers.set(kind, buf)
+  return buf
+}
 
-    if (!lm) { st.out = 0; onChange?.(0); return }
+/**
+ * A looping procedural sound pinned to a scene object (sfx bus).
+ * `target()` returns the Object3D; `level()` (0..1, per frame) scales `volume`.
+ */
+function SpatialSound({ target, synth = 'whoosh', volume = 0.5, level = null, refDistance = 10, rolloff = 1.2 }) {
+  const nodes = useRef(null)
+  const levelRef = useRef(level)
+  useEffect(() => { levelRef.current = level })
 
-    // try hips first; if not visible, fall back to shoulders to avoid hard zeros
-    const takeAvg = (ids, vis=0.5) => {
-      const pts = ids.map(i => lm[i]).filter(p => p && (p.visibility ?? 0) >= vis)
-      if (!pts.length) return null
-      const y = pts.reduce((a,p)=>a+p.y, 0) / pts.length
-      return y
+  useEffect(() => {
+    const b = getAudioBuses()
+    if (!b) return
+    const { ctx, sfx } = b
+    const src = ctx.createBufferSource()
+    src.buffer = synthBuffer(ctx, synth)
+    src.loop = true
+    const gain = ctx.createGain()
+    gain.gain.value = 0
+    const panner = makePanner(ctx, { refDistance, rolloff })
+    src.connect(gain).connect(panner).connect(sfx)
+    src.start(0, Math.random() * src.buffer.duration)
+    nodes.current = { ctx, gain, panner }
+    return () => {
+      try { src.stop() } catch { /* never started */ }
+      panner.disconnect()
+      nodes.current = null
     }
+  }, [synth, refDistance, rolloff])
+
+  const pos = useMemo(() => new THREE.Vector3(), [])
+  useFrame(() => {
+    const n = nodes.current
+    const obj = target?.()
+    if (!n || !obj || n.ctx.state !== 'running') return
+    obj.getWorldPosition(pos)
+    setPannerPosition(n.panner, pos, n.ctx)
+    const l = levelRef.current ? levelRef.current() : 1
+    n.gain.gain.setTargetAtTime(volume * l, n.ctx.currentTime, 0.05)
+  })
+  return null
+}
 
-    let y = takeAvg([23,24], 0.5)  // hips (R/L)
-    if (y == null) y = takeAvg([11,12], 0.5) // shoulders fallback
-    if (y == null) { st.out = 0; onChange?.(0); return }
+/**
+ * Procedural rain bed on the sfx bus: looping filtered noise plus scheduled
+ * droplet ticks. `intensity` (0..1) is the same value that drives Rain's
+ * opacity/count, so heavier motion (and jump surges) sound like a downpour.
+ */
+function RainAmbience({ intensity = 0, volume = 0.6, minDrops = 4, maxDrops = 60 }) {
+  const kRef = useRef(intensity)
+  useEffect(() => { kRef.current = THREE.MathUtils.clamp(intensity, 0, 1) }, [intensity])
 
-    if (st.y == null) { st.y = y; st.t = now; st.out = 0; onChange?.(0); return }
+  useEffect(() => {
+    const b = getAudioBuses()
+    if (!b) return
+    const { ctx, sfx } = b
+    const out = ctx.createGain()
+    out.gain.value = volume
+    out.connect(sfx)
+
+    // bed: white noise → low-pass (opens up as it gets heavier) → gain
+    const bed = ctx.createBufferSource()
+    const len = ctx.sampleRate * 2
+    const noise = ctx.createBuffer(1, len, ctx.sampleRate)
+    const d = noise.getChannelData(0)
+    for (let i = 0; i < len; i++) d[i] = Math.random() * 2 - 1
+    bed.buffer = noise
+    bed.loop = true
+    const bedLp = ctx.createBiquadFilter()
+    bedLp.type = 'lowpass'
+    bedLp.Q.value = 0.3
+    const bedHp = ctx.createBiquadFilter()
+    bedHp.type = 'highpass'
+    bedHp.frequency.value = 300
+    const bedGain = ctx.createGain()
+    bedGain.gain.value = 0
+    bed.connect(bedHp).connect(bedLp).connect(bedGain).connect(out)
+    bed.start()
+
+    // droplets: short band-passed noise bursts, random pitch + pan, Poisson-timed
+    let next = ctx.currentTime
+    const schedule = () => {
+      if (ctx.state !== 'running') { next = ctx.currentTime; return }
+      const k = kRef.current
+      const t = ctx.currentTime
+      bedGain.gain.setTargetAtTime(0.02 + 0.35 * Math.pow(k, 1.2), t, 0.3)
+      bedLp.frequency.setTargetAtTime(1200 + 5000 * k, t, 0.3)
+
+      const rate = minDrops + (maxDrops - minDrops) * k
+      if (next < t) next = t
+      while (next < t + 0.12) {
+        const src = ctx.createBufferSource()
+        src.buffer = noise
+        const bp = ctx.createBiquadFilter()
+        bp.type = 'bandpass'
+        bp.frequency.value = 2500 + Math.random() * 4500
+        bp.Q.value = 6
+        const g = ctx.createGain()
+        const amp = (0.05 + Math.random() * 0.15) * (0.5 + k)
+        g.gain.setValueAtTime(amp, next)
+        g.gain.exponentialRampToValueAtTime(0.001, next + 0.015 + Math.random() * 0.03)
+        const pan = ctx.createStereoPanner ? ctx.createStereoPanner() : null
+        if (pan) pan.pan.value = Math.random() * 2 - 1
+        src.connect(bp).connect(g).connect(pan ?? out)
+        if (pan) pan.connect(out)
+        src.start(next, Math.random() * 1.9, 0.06)
+        src.onended = () => (pan ?? g).disconnect()
+        next += -Math.log(1 - Math.random()) / rate
+      }
+    }
+    const iv = setInterval(schedule, 50)
+    return () => {
+      clearInterval(iv)
+      bed.stop()
+      out.disconnect()
+    }
+  }, [volume, minDrops, maxDrops])
 
-    const dt = Math.max(1e-3, (now - st.t)/1000)
-    const vy  = (st.y - y) / dt          // up > 0
-    const DEAD = 0.0015                   // ↓ smaller deadzone
-    const speed = Math.max(0, Math.abs(vy) - DEAD)
+  return null
+}
 
-    // combine speed + a little “lift” against a slow-moving ground
-    st.g = st.g ?? y
-    const targetG = Math.max(y, st.g)
-    st.g = st.g*0.985 + targetG*0.015
-    const lift = Math.max(0, st.g - y)
+// Master / music / sfx sliders (collapsed to a chip until opened)
+function VolumePanel({ volume, onChange, bottom = 12 }) {
+  const [open, setOpen] = useState(false)
+  return (
+    <div
+      onPointerDown={(e) => e.stopPropagation()}
+      style={{
+        position: 'fixed',
+        bottom,
+        left: 12,
+        background: 'rgba(0,0,0,0.55)',
+        color: '#fff',
+        padding: open ? '8px 10px' : '4px 8px',
+        borderRadius: 8,
+        font: '600 12px system-ui, sans-serif',
+        zIndex: 1000
+      }}
+    >
+      <div onClick={() => setOpen(o => !o)} style={{ cursor: 'pointer', color: '#ffe98a' }}>
+        {volume.master > 0 ? '🔊' : '🔇'} {open ? 'Volume' : ''}
+      </div>
+      {open && ['master', 'music', 'sfx'].map(k => (
+        <label key={k} style={{ display: 'flex', alignItems: 'center', gap: 8, marginTop: 6 }}>
+          <span style={{ width: 44 }}>{k}</span>
+          <input
+            type="range" min={0} max={1} step={0.05}
+            value={volume[k]}
+            onChange={(e) => onChange({ ...volume, [k]: Number(e.target.value) })}
+          />
+        </label>
+      ))}
+    </div>
+  )
+}
 
-    const raw = speed*1100 + lift*550
-    const ALPHA = 0.7
-    st.out = ALPHA*raw + (1-ALPHA)*st.out
-    if (speed <= 0 && lift < 0.002) st.out = 0 // hard zero when really idle
+/* -------------------- Audio engine -------------------- */
+/**
+ * Owns the music <audio> element: autoplay (muted) + unlock on the first
+ * gesture, fades, play/pause/seek, pausing while the tab is hidden, and
+ * end-of-song. Components read `useAudioState(engine)` / `engine.time()` and
+ * listen with `engine.on(name, fn)`:
+ *   'unlock' – audio allowed (first gesture)
+ *   'start'  – the song really starts (start())
+ *   'play' | 'pause' | 'ended' – element events
+ */
+function makeAudioEngine({ fadeIn = 0.8, fadeOut = 0.4, resumeOnShow = true } = {}) {
+  const events = makeEmitter()
+  const listeners = new Set()
+  let el = null
+  let state = { unlocked: false, started: false, playing: false, ended: false, duration: 0 }
+  let wasPlaying = false
+  let pending = 0   // deferred pause/stop after a fade-out (cancelled by start/play)
+  const later = (fn, sec) => { clearTimeout(pending); pending = setTimeout(fn, sec * 1000) }
+
+  const set = (patch) => {
+    state = { ...state, ...patch }
+    listeners.forEach(fn => fn())
+  }
+  const ctx = () => getAudioContext()
+  const fader = () => getAudioBuses()?.fade.gain
+
+  const fadeTo = (v, sec) => {
+    const g = fader()
+    if (!g) { if (el) el.volume = v; return }
+    const t = ctx().currentTime
+    g.cancelScheduledValues(t)
+    g.setValueAtTime(g.value, t)
+    g.linearRampToValueAtTime(v, t + Math.max(0.01, sec))
+  }
 
-    onChange?.(st.out)
-    debug && console.log('[MotionDetector] mv=', st.out.toFixed(2), 'vy=', vy.toFixed(4), 'lift=', lift.toFixed(4))
+  // cancels a pending pause/stop; its fade-out may be part way down, so fade back up
+  const play = () => {
+    clearTimeout(pending)
+    fadeTo(1, fadeIn)
+    return el?.play().catch(() => {})
+  }
 
-    st.y = y; st.t = now
-  }, [onChange, debug])
+  const engine = {
+    on: events.on,
+    subscribe(fn) { listeners.add(fn); return () => listeners.delete(fn) },
+    getState: () => state,
+    get element() { return el },
+    time: () => (el ? el.currentTime : null),
+
+    // allowed to make sound: resume the context, unmute with a fade
+    unlock() {
+      if (state.unlocked) return
+      ctx()?.resume().catch(() => {})
+      play()
+      if (el?.muted) { fadeTo(0, 0); el.muted = false }
+      fadeTo(1, fadeIn)
+      set({ unlocked: true })
+      events.emit('unlock')
+    },
+
+    // the round's music: make sure it plays, audible
+    start() {
+      if (state.started) return
+      ctx()?.resume().catch(() => {})
+      play()
+      if (el?.muted) { fadeTo(0, 0); el.muted = false }
+      fadeTo(1, el?.currentTime ? fadeIn : 0.01)
+      set({ started: true, ended: false })
+      events.emit('start')
+    },
+
+    // fade out, then rewind; the next start() plays from the top
+    stop() {
+      set({ started: false })
+      if (!el) return
+      fadeTo(0, fadeOut)
+      later(() => { el.pause(); el.currentTime = 0; fadeTo(1, 0.01) }, fadeOut)
+    },
+
+    play,
+    pause() {
+      if (!el || el.paused) return
+      fadeTo(0, fadeOut)
+      later(() => { el.pause(); fadeTo(1, 0.01) }, fadeOut)
+    },
+    seek(t) { if (el) el.currentTime = Math.max(0, t) },
+    fadeTo,
+
+    attach(element) {
+      el = element
+      if (!el) return () => {}
+      mediaSourceFor(el)
+      play()   // muted autoplay (attract)
+
+      const onEl = (e) => {
+        if (e.type === 'play') set({ playing: true, ended: false })
+        else if (e.type === 'pause') set({ playing: false })
+        else if (e.type === 'ended') set({ playing: false, ended: true, started: false })
+        else if (e.type === 'loadedmetadata') set({ duration: el.duration || 0 })
+        if (e.type !== 'loadedmetadata') events.emit(e.type)
+      }
+      const EL_EVENTS = ['play', 'pause', 'ended', 'loadedmetadata']
+      EL_EVENTS.forEach(n => el.addEventListener(n, onEl))
+
+      const unlock = () => engine.unlock()
+      const UNLOCK_EVENTS = ['pointerdown', 'touchstart', 'keydown']
+      UNLOCK_EVENTS.forEach(n => window.addEventListener(n, unlock, { once: true, passive: true }))
+
+      // hidden tab: pause a running song (and pick it up again on return unless
+      // the owner resumes it itself); becoming visible can also count as activation
+      const onVis = () => {
+        if (document.visibilityState === 'hidden') {
+          wasPlaying = state.started && !el.paused
+          if (wasPlaying) el.pause()
+        } else {
+          if (!state.unlocked) engine.unlock()
+          if (wasPlaying && resumeOnShow) play()
+          wasPlaying = false
+        }
+      }
+      document.addEventListener('visibilitychange', onVis)
 
-  const loop = React.useCallback(async () => {
-    const v = videoRef.current
-    if (poseRef.current && v && v.readyState >= 2) {
-      try { await poseRef.current.send({ image: v }) } catch {}
+      return () => {
+        EL_EVENTS.forEach(n => el.removeEventListener(n, onEl))
+        UNLOCK_EVENTS.forEach(n => window.removeEventListener(n, unlock))
+        document.removeEventListener('visibilitychange', onVis)
+      }
     }
-    rafRef.current = requestAnimationFrame(loop)
-  }, [])
+  }
+  return engine
+}
 
-  const start = React.useCallback(async () => {
-    if (startedRef.current) return
-    startedRef.current = true
-    try {
-      poseRef.current = await loadPose()
-      const v = videoRef.current
-      v.playsInline = true; v.muted = true; v.autoplay = true
-      const stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode:'user', width:640, height:480 }, audio:false })
-      v.srcObject = stream
-      await v.play().catch(()=>{})
-      for (let i=0;i<2;i++) if (poseRef.current && v.readyState>=2) await poseRef.current.send({ image:v })
-      rafRef.current = requestAnimationFrame(loop)
-      console.log('[MotionDetector] camera running')
-    } catch (e) {
-      waitingGesture.current = true
-      startedRef.current = false
-      console.warn('[MotionDetector] start failed; will retry on user gesture:', e)
-    }
-  }, [loop])
+const useAudioState = (engine) => React.useSyncExternalStore(engine.subscribe, engine.getState)
 
-  React.useEffect(() => {
-    if (!window.isSecureContext && !location.origin.startsWith('http://localhost')) {
-      console.warn('Camera requires HTTPS or http://localhost')
-      return
+/* -------------------- Live spectrum (fallback) -------------------- */
+/**
+ * When the precomputed spectrum JSON is missing, analyse the playing <audio>
+ * with an AnalyserNode. Produces the same [{ t, bands }] frames CameraWorldRing
+ * reads: `numBands` log-spaced bands, each scaled so its running mean matches
+ * the meta file's `averages` (i.e. the precomputed data's normalization).
+ * Only the last few seconds are kept; the array restarts when the song does.
+ */
+function useLiveSpectrum(engine, { enabled = false, numBands = 16, averages = null, fps = 30, keep = 4 } = {}) {
+  const frames = useMemo(() => [], [])
+
+  useEffect(() => {
+    const a = engine.element
+    if (!enabled || !a) return
+    const src = mediaSourceFor(a)
+    if (!src) { console.warn('[LiveSpectrum] Web Audio not available'); return }
+    const ctx = src.context
+    const an = ctx.createAnalyser()
+    an.fftSize = 2048
+    an.smoothingTimeConstant = 0.5
+    src.connect(an)
+
+    // log-spaced band edges (bins) from ~40 Hz to ~16 kHz
+    const bins = an.frequencyBinCount
+    const hz = ctx.sampleRate / an.fftSize
+    const lo = 40, hi = Math.min(16000, ctx.sampleRate / 2)
+    const edges = Array.from({ length: numBands + 1 }, (_, k) =>
+      Math.min(bins, Math.max(1, Math.round(lo * Math.pow(hi / lo, k / numBands) / hz))))
+    const db = new Float32Array(bins)
+    const mean = new Float32Array(numBands)
+    let seen = 0
+
+    let last = -Infinity
+    let raf = 0
+    const tick = () => {
+      raf = requestAnimationFrame(tick)
+      const t = a.currentTime
+      if (a.paused || t - last < 1 / fps) return
+      if (t < last) frames.length = 0   // seek / restart
+      last = t
+
+      an.getFloatFrequencyData(db)
+      const bands = new Array(numBands)
+      seen++
+      for (let k = 0; k < numBands; k++) {
+        const i0 = edges[k], i1 = Math.max(edges[k] + 1, edges[k + 1])
+        let e = 0
+        for (let i = i0; i < i1; i++) e += Math.pow(10, db[i] / 20)
+        e /= (i1 - i0)
+        // running mean (fast at first, then ~10 s) → match the precomputed scale
+        mean[k] += (e - mean[k]) / Math.min(seen, fps * 10)
+        const target = averages?.[k] ?? 1 / (k + 1)
+        bands[k] = mean[k] > 1e-6 ? (e / mean[k]) * target : 0
+      }
+      frames.push({ t, bands })
+      if (frames.length > keep * fps) frames.splice(0, frames.length - keep * fps)
     }
-    start()
-    const retry = () => { if (waitingGesture.current) start() }
-    window.addEventListener('pointerdown', retry)
-    window.addEventListener('keydown', retry)
+    raf = requestAnimationFrame(tick)
     return () => {
-      window.removeEventListener('pointerdown', retry)
-      window.removeEventListener('keydown', retry)
-      cancelAnimationFrame(rafRef.current)
-      try { poseRef.current?.close() } catch {}
-      const s = videoRef.current?.srcObject; if (s) s.getTracks().forEach(t => t.stop())
+      cancelAnimationFrame(raf)
+      try { src.disconnect(an) } catch { /* already disconnected */ }
+      frames.length = 0
     }
-  }, [start])
+  }, [engine, enabled, numBands, averages, fps, keep, frames])
 
-  return (
-    <video
-      ref={videoRef}
-      style={{
-        position:'fixed',
-        width: debug ? 240 : 1,
-        height: debug ? 180 : 1,
-        bottom: debug ? 12 : 'auto',
-        right: debug ? 12 : 'auto',
-        border: debug ? '1px solid #0f0' : 'none',
-        opacity: debug ? 0.85 : 0,
-        zIndex: 99999,
-        pointerEvents: 'none',
-      }}
-    />
-  )
+  return frames
 }
 
 
+/* -------------------- Jump detection (discrete events) -------------------- */
+/**
+ * Turns the tracked body y (normalized image coords, down = +) into discrete
+ * jump events. A slow "standing" baseline follows the body while grounded;
+ * rising past `minRise` above it is a takeoff, coming back near it a landing.
+ * Events: { id, takeoff, landing, airtime (ms), height (baseline units), confidence 0..1 }
+ * While airborne, `air` is { takeoff, height (peak so far) } for anything that
+ * has to react before the landing.
+ */
+let jumpSeq = 0   // shared across inputs so ids stay unique when the provider changes
+const nextJumpId = () => ++jumpSeq
+
+function makeJumpDetector({
+  minRise = 0.025,       // how far above baseline counts as airborne
+  landBand = 0.4,        // landed once back within minRise * landBand
+  minAirMs = 120,        // shorter = jitter, not a jump
+  maxAirMs = 1200,       // longer = player moved/stood up, re-baseline
+  baselineRate = 0.03,   // baseline follow speed while grounded (per sample)
+} = {}) {
+  let baseline = null
+  let air = null
+  let lastT = 0
+
+  return {
+    get baseline() { return baseline },
+    get airborne() { return !!air },
+    get air() { return air && { takeoff: air.takeoff, height: air.peak } },
+    reset() { baseline = null; air = null },
+    // y: body y, vy: upward speed (>0 = rising), vis: landmark visibility 0..1
+    update(y, vy, now, vis = 1) {
+      const prevT = lastT
+      lastT = now
+      if (baseline == null) { baseline = y; return null }
+      const rise = baseline - y
+
+      if (!air) {
+        if (rise > minRise && vy > 0) {
+          // takeoff happened somewhere between the previous sample and this one
+          air = { takeoff: prevT ? (prevT + now) / 2 : now, peak: rise, frames: 1, vis }
+        } else {
+          baseline += (y - baseline) * baselineRate
+        }
+        return null
+      }
 
+      air.peak = Math.max(air.peak, rise)
+      air.frames++
+      air.vis = Math.min(air.vis, vis)
 
+      if (now - air.takeoff > maxAirMs) { baseline = y; air = null; return null }
+      if (rise > minRise * landBand) return null
 
+      const a = air
+      air = null
+      const landing = (prevT + now) / 2
+      const airtime = landing - a.takeoff
+      if (airtime < minAirMs) return null
 
+      // confidence: enough samples in the air, visible landmarks, clear peak
+      const cFrames = Math.min(1, (a.frames - 1) / 3)
+      const cPeak = Math.min(1, (a.peak - minRise) / minRise + 0.5)
+      const confidence = THREE.MathUtils.clamp(cFrames * cPeak * a.vis, 0, 1)
+      return { id: nextJumpId(), takeoff: a.takeoff, landing, airtime, height: a.peak, confidence }
+    }
+  }
+}
 
-/* -------------------- Moon System (moon + 3 orbiting sprites) -------------------- */
-/**
- * Places a moon that orbits the world origin, and a ring of sprites (w1..w3)
- * that orbit around the moon.
- */
+/* -------------------- Player calibration (body scale) -------------------- */
+// Motion constants below were tuned for a torso this long (shoulder-mid → hip-mid,
+// in image heights). A calibrated player's motion is rescaled to match it.
+const REF_TORSO = 0.22
+const CALIB_KEY = 'rih.calibration'
+
+const loadCalibration = () => {
+  try { return JSON.parse(sessionStorage.getItem(CALIB_KEY)) || null } catch { return null }
+}
+const saveCalibration = (cal) => {
+  try {
+    if (cal) sessionStorage.setItem(CALIB_KEY, JSON.stringify(cal))
+    else sessionStorage.removeItem(CALIB_KEY)
+  } catch (e) { console.warn('Calibration not saved:', e) }
+}
+
+// torso length from landmarks 11/12 (shoulders) + 23/24 (hips); x is aspect-corrected
+function measureTorso(lm, aspect = 4 / 3, vis = 0.5) {
+  const ids = [11, 12, 23, 24]
+  if (ids.some(i => !lm[i] || (lm[i].visibility ?? 0) < vis)) return null
+  const sx = (lm[11].x + lm[12].x) / 2, sy = (lm[11].y + lm[12].y) / 2
+  const hx = (lm[23].x + lm[24].x) / 2, hy = (lm[23].y + lm[24].y) / 2
+  return { torso: Math.hypot((sx - hx) * aspect, sy - hy), hipY: hy, shoulderY: sy }
+}
+
+/**
+ * Collects a still, fully visible standing pose for `holdMs` and returns the
+ * median torso length + standing hip/shoulder heights.
+ * update() → { progress 0..1, hint, result? }
+ * hints: 'none' | 'body' | 'closer' | 'back' | 'still' | 'hold' | 'done'
+ */
+function makeCalibrator({ holdMs = 2000, maxSway = 0.15, minTorso = 0.08, maxTorso = 0.45 } = {}) {
+  let samples = []
+  let t0 = 0
+  const median = (arr) => {
+    const s = [...arr].sort((a, b) => a - b)
+    return s[s.length >> 1]
+  }
+  return {
+    reset() { samples = [] },
+    update(lm, now, aspect) {
+      if (!lm) { samples = []; return { progress: 0, hint: 'none' } }
+      const m = measureTorso(lm, aspect)
+      if (!m) { samples = []; return { progress: 0, hint: 'body' } }
+      if (m.torso < minTorso) { samples = []; return { progress: 0, hint: 'closer' } }
+      if (m.torso > maxTorso) { samples = []; return { progress: 0, hint: 'back' } }
+
+      // moving too much → start over (sway measured in torso lengths)
+      if (samples.length && Math.abs(m.hipY - samples[0].hipY) > maxSway * m.torso) {
+        samples = []
+        return { progress: 0, hint: 'still' }
+      }
+      if (!samples.length) t0 = now
+      samples.push(m)
+
+      const progress = Math.min(1, (now - t0) / holdMs)
+      if (progress < 1 || samples.length < 5) return { progress, hint: 'hold' }
+
+      const result = {
+        torso: median(samples.map(s => s.torso)),
+        hipY: median(samples.map(s => s.hipY)),
+        shoulderY: median(samples.map(s => s.shoulderY)),
+        at: Date.now()
+      }
+      samples = []
+      return { progress: 1, hint: 'done', result }
+    }
+  }
+}
+
+const CALIB_HINTS = {
+  none: 'Step in front of the camera',
+  body: 'Step back — shoulders and hips must be visible',
+  closer: 'Come a little closer',
+  back: 'Step back a little',
+  still: 'Stand still…',
+  hold: 'Hold still…',
+  done: 'Calibrated!'
+}
+
+function CalibrationGuide({ progress = 0, hint = 'none' }) {
+  return (
+    <div style={{
+      position: 'fixed',
+      top: 12,
+      left: '50%',
+      transform: 'translateX(-50%)',
+      width: 320,
+      background: 'rgba(0,0,0,0.6)',
+      color: '#fff',
+      padding: '10px 14px',
+      borderRadius: 10,
+      font: '600 14px/1.4 system-ui, sans-serif',
+      textAlign: 'center',
+      zIndex: 1000,
+      pointerEvents: 'none'
+    }}>
+      <div style={{ color: '#ffe98a', marginBottom: 4 }}>Calibration</div>
+      <div>{CALIB_HINTS[hint] ?? CALIB_HINTS.none}</div>
+      <div style={{ marginTop: 8, height: 6, borderRadius: 3, background: 'rgba(255,255,255,0.2)' }}>
+        <div style={{
+          width: `${Math.round(progress * 100)}%`,
+          height: '100%',
+          borderRadius: 3,
+          background: '#ffe98a'
+        }} />
+      </div>
+    </div>
+  )
+}
+
+/* -------------------- Gestures (named events) -------------------- */
+// tiny pub/sub: bus.on(name, fn) → unsubscribe, bus.emit(name, payload)
+function makeEmitter() {
+  const map = new Map()
+  return {
+    on(name, fn) {
+      if (!map.has(name)) map.set(name, new Set())
+      map.get(name).add(fn)
+      return () => map.get(name)?.delete(fn)
+    },
+    emit(name, payload) {
+      map.get(name)?.forEach(fn => fn(payload))
+      map.get('*')?.forEach(fn => fn(payload))
+    }
+  }
+}
+
+// subscribe a component to one gesture (handler may change every render)
+function useGesture(bus, name, handler) {
+  const ref = useRef(handler)
+  useEffect(() => { ref.current = handler })
+  useEffect(() => {
+    if (!bus) return
+    return bus.on(name, (e) => ref.current?.(e))
+  }, [bus, name])
+}
+
+const GESTURES = ['armsUp', 'squat', 'starJump', 'clap', 'leanLeft', 'leanRight']
+
+/**
+ * Pose → named gestures. Each gesture fires once when its condition has held
+ * for `hold` ms, then re-arms after the condition drops and `cooldown` passes.
+ * Distances are in torso lengths; x is aspect-corrected. Left/right are as the
+ * player sees themselves (selfie mirror), i.e. screen left/right.
+ */
+function makeGestureRecognizer({ cooldown = 600 } = {}) {
+  const HOLD = { armsUp: 200, squat: 250, starJump: 0, clap: 0, leanLeft: 300, leanRight: 300 }
+  const st = Object.fromEntries(GESTURES.map(g => [g, { since: 0, fired: false, last: -Infinity }]))
+  const seen = (p, v = 0.5) => p && (p.visibility ?? 0) >= v
+
+  const detect = (lm, torso, aspect) => {
+    const [ls, rs, lw, rw, lh, rh] = [lm[11], lm[12], lm[15], lm[16], lm[23], lm[24]]
+    const out = {}
+    if (!seen(ls) || !seen(rs)) return out
+    const shY = (ls.y + rs.y) / 2
+    const shX = (ls.x + rs.x) / 2
+    const shW = Math.abs(ls.x - rs.x) * aspect
+
+    if (seen(lw) && seen(rw)) {
+      const up = lw.y < shY - 0.3 * torso && rw.y < shY - 0.3 * torso
+      out.armsUp = up
+      const wristGap = Math.hypot((lw.x - rw.x) * aspect, lw.y - rw.y)
+      out.clap = wristGap < 0.25 * torso && lw.y < shY + torso
+      // star: arms up AND out + feet apart
+      const la = lm[27], ra = lm[28]
+      if (up && seen(la) && seen(ra)) {
+        const armsOut = Math.abs(lw.x - rw.x) * aspect > 1.5 * shW
+        const feetOut = Math.abs(la.x - ra.x) * aspect > 1.2 * shW
+        out.starJump = armsOut && feetOut
+      }
+    }
+    if (seen(lh) && seen(rh)) {
+      const hipY = (lh.y + rh.y) / 2
+      const hipX = (lh.x + rh.x) / 2
+      const lk = lm[25], rk = lm[26]
+      if (seen(lk) && seen(rk)) out.squat = ((lk.y + rk.y) / 2 - hipY) < 0.35 * torso
+      const lean = (shX - hipX) * aspect / torso
+      out.leanLeft = lean < -0.25
+      out.leanRight = lean > 0.25
+    }
+    return out
+  }
+
+  return {
+    // returns the gesture names that fired on this frame
+    update(lm, now, torso, aspect = 4 / 3) {
+      const on = lm && torso > 0 ? detect(lm, torso, aspect) : {}
+      const fired = []
+      for (const g of GESTURES) {
+        const s = st[g]
+        if (!on[g]) { s.since = 0; s.fired = false; continue }
+        if (!s.since) s.since = now
+        if (!s.fired && now - s.since >= HOLD[g] && now - s.last >= cooldown) {
+          s.fired = true
+          s.last = now
+          fired.push(g)
+        }
+      }
+      return fired
+    }
+  }
+}
+
+/* -------------------- Hand tracking (wrists → screen) -------------------- */
+// Wrists 15/16 as mirrored (selfie) viewport coordinates 0..1, lightly smoothed.
+// The camera frame is laid over the viewport like a full-screen mirror: 'cover'
+// (fills it, edges cropped) or 'contain' (fits inside it). A wrist not seen for
+// `staleMs` drops out of get().
+function makeHandTracker({ vis = 0.5, alpha = 0.6, staleMs = 300, fit = 'cover' } = {}) {
+  const hands = [15, 16].map(id => ({ id, x: 0.5, y: 0.5, seen: -Infinity }))
+  // video (0..1 of the frame) → viewport (0..1), both ways centred
+  const toViewport = (p, videoAspect) => {
+    const view = window.innerWidth / Math.max(1, window.innerHeight)
+    const byWidth = (view > videoAspect) === (fit === 'cover')
+    const x = 1 - p.x, y = p.y
+    return byWidth
+      ? { x, y: (y - 0.5) * (view / videoAspect) + 0.5 }    // frame scaled to the viewport width
+      : { x: (x - 0.5) * (videoAspect / view) + 0.5, y }    // frame scaled to the viewport height
+  }
+  return {
+    update(lm, now, videoAspect = 4 / 3) {
+      if (!lm) return
+      for (const h of hands) {
+        const p = lm[h.id]
+        if (!p || (p.visibility ?? 0) < vis) continue
+        const { x, y } = toViewport(p, videoAspect)
+        const fresh = now - h.seen > staleMs
+        h.x = fresh ? x : h.x + (x - h.x) * alpha
+        h.y = fresh ? y : h.y + (y - h.y) * alpha
+        h.seen = now
+      }
+    },
+    get(now = performance.now()) {
+      return hands.filter(h => now - h.seen < staleMs)
+    }
+  }
+}
+
+// glowing markers where the game sees the player's hands
+function HandCursors({ hands, size = 46 }) {
+  const refs = useRef([])
+  useEffect(() => {
+    let raf = 0
+    const tick = () => {
+      const seen = hands.get()
+      refs.current.forEach((el, i) => {
+        if (!el) return
+        const h = seen[i]
+        el.style.opacity = h ? 1 : 0
+        if (h) el.style.transform = `translate(${h.x * window.innerWidth - size / 2}px, ${h.y * window.innerHeight - size / 2}px)`
+      })
+      raf = requestAnimationFrame(tick)
+    }
+    raf = requestAnimationFrame(tick)
+    return () => cancelAnimationFrame(raf)
+  }, [hands, size])
+  return [0, 1].map(i => (
+    <div key={i} ref={el => (refs.current[i] = el)} style={{
+      position: 'fixed',
+      left: 0,
+      top: 0,
+      width: size,
+      height: size,
+      borderRadius: '50%',
+      border: '3px solid #ffe98a',
+      boxShadow: '0 0 16px #ffe98a',
+      opacity: 0,
+      transition: 'opacity 0.2s',
+      zIndex: 999,
+      pointerEvents: 'none'
+    }} />
+  ))
+}
+
+/* -------------------- Signal filters -------------------- */
+// Stages are { next(x, tMs) → x', reset(seed) }; a chain runs them in order.
+//   oneEuro – adaptive low-pass: steady when still, little lag when moving
+//   median  – rolling median over `size` samples (kills single-frame spikes)
+//   ema     – fixed smoothing, y = alpha*x + (1-alpha)*y
+// reset(v) seeds a stage with v (null = take the next sample as-is).
+function makeOneEuro({ minCutoff = 1, beta = 0.02, dCutoff = 1 } = {}) {
+  let x0 = null, dx0 = 0, t0 = 0
+  const alpha = (cutoff, dt) => { const r = 2 * Math.PI * cutoff * dt; return r / (r + 1) }
+  return {
+    reset(v = null) { x0 = v; dx0 = 0; t0 = 0 },
+    next(x, t) {
+      if (x0 == null || !t0) { x0 = x0 ?? x; t0 = t; return x0 }
+      const dt = Math.max(1e-3, (t - t0) / 1000)
+      dx0 += alpha(dCutoff, dt) * ((x - x0) / dt - dx0)
+      x0 += alpha(minCutoff + beta * Math.abs(dx0), dt) * (x - x0)
+      t0 = t
+      return x0
+    }
+  }
+}
+
+function makeMedian({ size = 3 } = {}) {
+  let buf = []
+  return {
+    reset(v = null) { buf = v == null ? [] : [v] },
+    next(x) {
+      buf.push(x)
+      if (buf.length > size) buf.shift()
+      const s = [...buf].sort((a, b) => a - b)
+      const m = s.length >> 1
+      return s.length % 2 ? s[m] : (s[m - 1] + s[m]) / 2
+    }
+  }
+}
+
+function makeEma({ alpha = 0.7 } = {}) {
+  let y = null
+  return {
+    reset(v = null) { y = v },
+    next(x) { y = y == null ? x : alpha * x + (1 - alpha) * y; return y }
+  }
+}
+
+const FILTER_STAGES = { oneEuro: makeOneEuro, median: makeMedian, ema: makeEma }
+
+function makeFilterChain(stages = []) {
+  const fs = stages.flatMap(({ type, ...opts }) => {
+    if (FILTER_STAGES[type]) return [FILTER_STAGES[type](opts)]
+    console.warn('[filters] unknown stage:', type)
+    return []
+  })
+  return {
+    reset(v = null) { fs.forEach(f => f.reset(v)) },
+    next(x, t) { return fs.reduce((v, f) => f.next(v, t), x) }
+  }
+}
+
+// hz:       analysis rate (0 = every camera frame)
+// position: stages on the hip/shoulder height, before the derivative
+// motion:   stages on the motion value (the old fixed ALPHA = 0.7 smoothing)
+const DEFAULT_FILTERS = {
+  hz: 15,
+  position: [],
+  motion: [{ type: 'ema', alpha: 0.7 }],
+}
+
+/**
+ * The landmark → motion/jump pipeline shared by every pose source (live camera,
+ * replayed recordings). Returns a stable `process(poseLandmarks, now)`; all
+ * props are read through refs because pose.onResults is bound only once.
+ */
+function usePoseProcessing({
+  onChange, onJump,
+  onAir,                  // ({ takeoff, height, t }) per analysed frame while airborne
+  calibration = null, onCalibration, onCalibrationProgress,
+  onTracking,
+  onGesture,              // (name, { name, t }) for each recognized gesture
+  onSignal,               // ({ t, y, yRaw, vy, raw, value }) per analysed frame
+  filters = DEFAULT_FILTERS,
+  feed = null,            // optional preview feed (skeleton + sparkline)
+  hands = null,           // optional makeHandTracker() (wrists, every model result)
+  getAspect = () => 4 / 3,
+  debug = false
+}) {
+  const prevLmRef = React.useRef(null)
+  const jumpRef = React.useRef(null)
+  if (!jumpRef.current) jumpRef.current = makeJumpDetector()
+  const gestureRef = React.useRef(null)
+  if (!gestureRef.current) gestureRef.current = makeGestureRecognizer()
+
+  const calibRef = React.useRef(calibration)
+  const calibratorRef = React.useRef(null)
+  if (!calibratorRef.current) calibratorRef.current = makeCalibrator()
+  React.useEffect(() => {
+    calibRef.current = calibration
+    if (!calibration) calibratorRef.current.reset()
+  }, [calibration])
+
+  // filter chains are rebuilt (and the signal restarted) when the config changes
+  const filterRef = React.useRef(null)
+  React.useEffect(() => {
+    const cfg = { ...DEFAULT_FILTERS, ...filters }
+    filterRef.current = {
+      gap: cfg.hz > 0 ? 1000 / cfg.hz : 0,
+      position: makeFilterChain(cfg.position),
+      motion: makeFilterChain(cfg.motion),
+    }
+    prevLmRef.current = null
+  }, [filters])
+
+  const cbRef = React.useRef({})
+  const emit = (v, t, raw = v) => { feed?.motion(v, raw); onChange?.(v, t) }
+  React.useEffect(() => {
+    cbRef.current = { onChange: emit, onJump, onAir, onCalibration, onCalibrationProgress, onTracking, onGesture, onSignal, feed, hands, getAspect, debug }
+  })
+
+  // `now` is the frame's capture time (ms, performance.now() timebase), not the callback time
+  return React.useCallback((lm, now) => {
+    const { onChange, onJump, debug } = cbRef.current
+    const flt = filterRef.current
+    if (!flt) return
+    cbRef.current.feed?.landmarks(lm)
+    cbRef.current.hands?.update(lm, now, cbRef.current.getAspect())
+    let st = prevLmRef.current
+    if (!st || st.__v !== 4) {
+      st = (prevLmRef.current = { __v:4, y:null, t:0, last:-Infinity })
+      flt.position.reset(); flt.motion.reset(0)
+    }
+
+    // throttle AFTER we know whether we got landmarks (so we can zero quickly when they’re missing)
+    if (now - st.last < flt.gap) return
+    st.last = now
+
+    // no calibration yet → collect the standing pose (motion still flows, unscaled)
+    if (!calibRef.current) {
+      const c = calibratorRef.current.update(lm, now, cbRef.current.getAspect())
+      cbRef.current.onCalibrationProgress?.(c)
+      if (c.result) {
+        calibRef.current = c.result
+        cbRef.current.onCalibration?.(c.result)
+      }
+    }
+
+    // 'none' = nobody in frame, 'hips' = hips not visible, 'ok' (reported on change only)
+    const track = (t) => { if (st.track !== t) { st.track = t; cbRef.current.onTracking?.(t) } }
+
+    const idle = () => { st.y = null; flt.position.reset(); flt.motion.reset(0); jumpRef.current.reset(); onChange?.(0, now) }
+    if (!lm) { track('none'); idle(); return }
+
+    // gestures: live torso when visible, else the calibrated one
+    const aspect = cbRef.current.getAspect()
+    const torso = measureTorso(lm, aspect)?.torso ?? calibRef.current?.torso ?? REF_TORSO
+    for (const name of gestureRef.current.update(lm, now, torso, aspect)) {
+      cbRef.current.onGesture?.(name, { name, t: now })
+      debug && console.log('[MotionDetector] gesture', name)
+    }
+
+    // try hips first; if not visible, fall back to shoulders to avoid hard zeros
+    const takeAvg = (ids, vis=0.5) => {
+      const pts = ids.map(i => lm[i]).filter(p => p && (p.visibility ?? 0) >= vis)
+      if (!pts.length) return null
+      const y = pts.reduce((a,p)=>a+p.y, 0) / pts.length
+      st.vis = pts.reduce((a,p)=>a+(p.visibility ?? 0), 0) / ids.length
+      return y
+    }
+
+    let y = takeAvg([23,24], 0.5)  // hips (R/L)
+    track(y == null ? 'hips' : 'ok')
+    if (y == null) y = takeAvg([11,12], 0.5) // shoulders fallback
+    if (y == null) { idle(); return }
+
+    // body-scale normalization: express y in "reference torso" units so
+    // a small/far player moves the numbers as much as a big/near one
+    const scale = calibRef.current ? REF_TORSO / calibRef.current.torso : 1
+    if (st.scale !== scale) { st.scale = scale; st.y = null; st.g = null; flt.position.reset(); jumpRef.current.reset() }
+    const yRaw = y * scale
+    y = flt.position.next(yRaw, now)
+
+    if (st.y == null) { st.y = y; st.t = now; onChange?.(0, now); return }
+    if (now <= st.t) return               // same camera frame twice
+
+    const dt = (now - st.t)/1000
+    const vy  = (st.y - y) / dt          // up > 0
+
+    const jump = jumpRef.current.update(y, vy, now, st.vis)
+    const air = jumpRef.current.air
+    if (air) cbRef.current.onAir?.({ ...air, t: now })
+    if (jump) {
+      onJump?.(jump)
+      debug && console.log('[MotionDetector] jump', jump)
+    }
+    const DEAD = 0.0015                   // ↓ smaller deadzone
+    const speed = Math.max(0, Math.abs(vy) - DEAD)
+
+    // combine speed + a little “lift” against a slow-moving ground
+    st.g = st.g ?? y
+    const targetG = Math.max(y, st.g)
+    st.g = st.g*0.985 + targetG*0.015
+    const lift = Math.max(0, st.g - y)
+
+    const raw = speed*1100 + lift*550
+    let out = flt.motion.next(raw, now)
+    if (speed <= 0 && lift < 0.002) { out = 0; flt.motion.reset(0) } // hard zero when really idle
+
+    onChange?.(out, now, raw)
+    cbRef.current.onSignal?.({ t: now, y, yRaw, vy, raw, value: out })
+    debug && console.log('[MotionDetector] mv=', out.toFixed(2), 'raw=', raw.toFixed(2), 'vy=', vy.toFixed(4), 'lift=', lift.toFixed(4))
+
+    st.y = y; st.t = now
+  }, [])
+}
+
+/* -------------------- MediaPipe asset policy -------------------- */
+// 'local'     – only public/vendor/mediapipe/ (offline kiosks, no third-party scripts)
+// 'local-cdn' – local first, then unpkg / jsDelivr (default)
+// 'custom'    – only `baseUrl` (self-hosted mirror)
+const ASSET_POLICIES = ['local', 'local-cdn', 'custom']
+const POSE_LOCAL_BASE = new URL(`${BASE}vendor/mediapipe/`, window.location.href).href
+const POSE_CDN_BASES = [
+  'https://unpkg.com/@mediapipe/pose@0.5.167/',
+  'https://cdn.jsdelivr.net/npm/@mediapipe/pose@0.5.167/',
+]
+
+function resolvePoseBases({ mode = 'local-cdn', baseUrl = '' } = {}) {
+  if (mode === 'local') return [POSE_LOCAL_BASE]
+  if (mode === 'custom' && baseUrl) {
+    return [new URL(baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`, window.location.href).href]
+  }
+  return [POSE_LOCAL_BASE, ...POSE_CDN_BASES]
+}
+
+const assetError = (base, missing, mismatched) => Object.assign(
+  new Error(`MediaPipe assets incomplete at ${base}`),
+  { name: 'AssetError', base, missing, mismatched }
+)
+
+const sha256Base64 = async (buf) => {
+  const d = new Uint8Array(await crypto.subtle.digest('SHA-256', buf))
+  let bin = ''
+  for (let i = 0; i < d.length; i++) bin += String.fromCharCode(d[i])
+  return btoa(bin)
+}
+
+// a dev server may answer a missing file with index.html → not the file
+const isRealFile = (r, name) => !!r?.ok && (name.endsWith('.html') || !(r.headers.get('content-type') || '').includes('text/html'))
+
+/**
+ * Checks a base against its manifest.json (see scripts/vendor-manifest.mjs):
+ * required files and one file of each `requireOneOf` group must exist, and
+ * every hashed file must match its size + sha256. Without a manifest only
+ * the three files pose.js needs first are checked for presence.
+ * Resolves to the manifest (or null); rejects with an AssetError.
+ */
+async function verifyPoseAssets(base) {
+  let manifest = null
+  try {
+    const r = await fetch(`${base}manifest.json`, { cache: 'no-cache' })
+    if (isRealFile(r, 'manifest.json')) manifest = await r.json()
+  } catch (e) {
+    console.warn('[assets] no manifest at', base, e)
+  }
+
+  if (!manifest) {
+    const names = ['pose.js', 'pose_solution_packed_assets_loader.js', 'pose_solution_packed_assets.data']
+    const ok = await Promise.all(names.map(n => fetch(base + n, { cache: 'no-cache' }).then(r => isRealFile(r, n), () => false)))
+    const missing = names.filter((_, i) => !ok[i])
+    if (missing.length) throw assetError(base, missing, [])
+    return null
+  }
+
+  const canHash = !!globalThis.crypto?.subtle
+  const missing = [], mismatched = [], present = new Set()
+  await Promise.all(manifest.files.map(async (f) => {
+    const r = await fetch(base + f.name, { cache: 'no-cache' }).catch(() => null)
+    if (!isRealFile(r, f.name)) { if (f.required) missing.push(f.name); return }
+    present.add(f.name)
+    if (!f.sha256) return
+    const buf = await r.arrayBuffer()
+    if (f.size != null && buf.byteLength !== f.size) mismatched.push(f.name)
+    else if (canHash && await sha256Base64(buf) !== f.sha256) mismatched.push(f.name)
+  }))
+  for (const group of manifest.requireOneOf || []) {
+    if (!group.some(n => present.has(n))) missing.push(group.join(' or '))
+  }
+  if (missing.length || mismatched.length) throw assetError(base, missing, mismatched)
+  if (!canHash) console.warn('[assets] crypto.subtle unavailable; checked presence + size only')
+  return manifest
+}
+
+const POSE_OPTIONS = {
+  selfieMode: true,
+  modelComplexity: 0,
+  smoothLandmarks: true,
+  enableSegmentation: false,
+  minDetectionConfidence: 0.4,       // ↓ slight relax
+  minTrackingConfidence: 0.4,
+}
+
+// camera errors that a retry-on-gesture won't fix → hand over to a fallback input
+const POSE_FRAME_TIMEOUT_MS = 5000   // worker frame with no result → treat the worker as dead
+const FATAL_CAMERA_ERRORS = ['NotAllowedError', 'NotFoundError', 'NotReadableError', 'OverconstrainedError', 'SecurityError']
+const CAMERA_ERROR_PHASES = {
+  NotAllowedError: 'denied',
+  NotFoundError: 'no-camera',
+  NotReadableError: 'busy',
+  OverconstrainedError: 'no-camera',
+  SecurityError: 'insecure',
+}
+
+/**
+ * Capture timestamps for camera frames, in performance.now() ms so jump and
+ * gesture times compare with the rest of the app. requestVideoFrameCallback
+ * reports when the frame was captured; without it, video.currentTime is
+ * anchored to the wall clock at the first frame.
+ */
+function makeFrameClock(video) {
+  const rvfc = typeof video.requestVideoFrameCallback === 'function'
+  let stamp = 0, handle = 0
+  let media0 = null, wall0 = 0
+  if (rvfc) {
+    const tick = (now, meta) => {
+      stamp = meta.captureTime ?? meta.expectedDisplayTime ?? now
+      handle = video.requestVideoFrameCallback(tick)
+    }
+    handle = video.requestVideoFrameCallback(tick)
+  }
+  return {
+    now() {
+      if (rvfc && stamp) return stamp
+      const m = video.currentTime * 1000
+      if (media0 == null || m < media0) { media0 = m; wall0 = performance.now() }
+      return wall0 + (m - media0)
+    },
+    stop() { if (rvfc) video.cancelVideoFrameCallback?.(handle) }
+  }
+}
+
+/**
+ * Camera → MediaPipe Pose → usePoseProcessing.
+ * Inference runs in src/poseWorker.js when possible (ImageBitmap frames,
+ * landmarks posted back), else on the main thread; either way it is pumped
+ * at `inferenceFps`, independent of the render loop.
+ */
+function MotionDetector({
+  onChange, onJump, onAir, onError,
+  calibration = null, onCalibration, onCalibrationProgress,
+  recorder = null,
+  inferenceFps = 30,
+  useWorker = true,
+  assetPolicy = null,     // { mode: 'local' | 'local-cdn' | 'custom', baseUrl }
+  deviceId = '',          // '' = default front camera
+  retryKey = 0,           // bump to retry start()
+  onStatus,               // ({ phase, source, base, worker, message }) patches
+  onTracking,             // 'none' | 'hips' | 'ok'
+  onGesture,              // (name, event) – see makeGestureRecognizer
+  onSignal,               // raw + filtered signal per analysed frame
+  filters,                // see DEFAULT_FILTERS
+  feed = null,            // preview feed (see makePreviewFeed)
+  hands = null,           // wrist tracker (see makeHandTracker)
+  showVideo = false,      // raw webcam in the corner — only when explicitly enabled
+  debug=false
+}) {
+  const videoRef = React.useRef(null)
+  const poseRef = React.useRef(null)
+  const pumpRef = React.useRef(0)
+  const fpsRef = React.useRef(inferenceFps)
+  React.useEffect(() => { fpsRef.current = Math.max(1, inferenceFps) }, [inferenceFps])
+  const workerRef = React.useRef(useWorker)
+  const sessionRef = React.useRef(null)   // { live } of the mounted effect; async loads check it
+  React.useEffect(() => { workerRef.current = useWorker }, [useWorker])
+  const waitingGesture = React.useRef(false)
+  const startedRef = React.useRef(false)
+  const getAspect = React.useCallback(() => {
+    const v = videoRef.current
+    return v?.videoWidth && v?.videoHeight ? v.videoWidth / v.videoHeight : 4 / 3
+  }, [])
+  const process = usePoseProcessing({
+    onChange, onJump, onAir,
+    calibration, onCalibration, onCalibrationProgress,
+    onTracking, onGesture, onSignal, filters, feed, hands, getAspect, debug
+  })
+  // capture time of the frame currently in inference (see makeFrameClock)
+  const clockRef = React.useRef(null)
+  const frameTRef = React.useRef(0)
+  const recorderRef = React.useRef(recorder)
+  React.useEffect(() => { recorderRef.current = recorder }, [recorder])
+  const onErrorRef = React.useRef(onError)
+  React.useEffect(() => { onErrorRef.current = onError }, [onError])
+  const onStatusRef = React.useRef(onStatus)
+  React.useEffect(() => { onStatusRef.current = onStatus }, [onStatus])
+  const report = React.useCallback((patch) => onStatusRef.current?.(patch), [])
+  const runningRef = React.useRef(false)
+  const deviceRef = React.useRef(deviceId)
+
+  const policyRef = React.useRef(assetPolicy)
+  React.useEffect(() => { policyRef.current = assetPolicy }, [assetPolicy])
+
+  const loadTag = (src, integrity) => new Promise((res, rej) => {
+    const s = document.createElement('script')
+    s.src = src; s.async = true
+    if (integrity) { s.integrity = `sha256-${integrity}`; s.crossOrigin = 'anonymous' }
+    s.onload = () => res(src)
+    s.onerror = () => rej(new Error(`Failed to load <script> ${src}`))
+    document.head.appendChild(s)
+  })
+
+  // local + custom bases are verified against their manifest (once per base);
+  // CDN bases are taken as-is
+  const verified = React.useRef(new Map())
+  const checkBase = (base) => {
+    if (POSE_CDN_BASES.includes(base)) return Promise.resolve(null)
+    if (!verified.current.has(base)) {
+      const p = verifyPoseAssets(base)
+      p.catch(() => verified.current.delete(base))   // re-check on retry
+      verified.current.set(base, p)
+    }
+    return verified.current.get(base)
+  }
+  const integrityOf = (manifest, name) => manifest?.files?.find(f => f.name === name)?.sha256
+
+  async function loadPoseFrom(baseHref) {
+    const manifest = await checkBase(baseHref)
+    await loadTag(`${baseHref}pose.js`, integrityOf(manifest, 'pose.js'))
+    const PoseNS = window.Pose || window.pose
+    const PoseCtor = PoseNS?.Pose || PoseNS
+    if (typeof PoseCtor !== 'function') throw new Error('Pose constructor not found')
+
+    const pose = new PoseCtor({ locateFile: (f) => baseHref + f })
+    pose.onResults(onResults)
+    if (typeof pose.initialize === 'function') await pose.initialize()
+    pose.setOptions(POSE_OPTIONS)
+    return pose
+  }
+
+  // Same contract as a Pose instance (send/close), backed by the worker
+  async function loadPoseWorker(baseHref) {
+    await checkBase(baseHref)
+    const worker = new Worker(new URL('./poseWorker.js', import.meta.url))
+    let pending = null
+
+    await new Promise((res, rej) => {
+      const timer = setTimeout(() => rej(new Error('Pose worker init timed out')), 30000)
+      worker.onmessage = (e) => {
+        if (e.data.type === 'ready') { clearTimeout(timer); res() }
+        if (e.data.type === 'error') { clearTimeout(timer); rej(new Error(e.data.message)) }
+      }
+      worker.onerror = (e) => { clearTimeout(timer); rej(new Error(e.message || 'Pose worker failed')) }
+      worker.postMessage({ type: 'init', base: baseHref, options: POSE_OPTIONS })
+    }).catch((e) => { worker.terminate(); throw e })
+
+    // a dead worker (wasm abort, OOM) or a stuck frame fails the frame in flight
+    // and every later one, so the pump can fall back instead of hanging
+    let dead = null
+    const fail = (message) => {
+      dead = dead ?? Object.assign(new Error(message), { name: 'PoseWorkerError' })
+      pending?.reject(dead)
+      pending = null
+    }
+    worker.onerror = (e) => fail(e.message || 'Pose worker crashed')
+    worker.onmessage = (e) => {
+      if (e.data.type !== 'results') return
+      onResults({ poseLandmarks: e.data.lm }, e.data.t)
+      pending?.resolve()
+      pending = null
+    }
+    return {
+      worker: true,
+      async send({ image }) {
+        if (dead) throw dead
+        const bitmap = await createImageBitmap(image)
+        return new Promise((resolve, reject) => {
+          const timer = setTimeout(() => fail(`Pose worker gave no result in ${POSE_FRAME_TIMEOUT_MS} ms`), POSE_FRAME_TIMEOUT_MS)
+          pending = {
+            resolve: () => { clearTimeout(timer); resolve() },
+            reject: (e) => { clearTimeout(timer); reject(e) }
+          }
+          worker.postMessage({ type: 'frame', bitmap, t: frameTRef.current }, [bitmap])
+        })
+      },
+      close() {
+        pending?.resolve()
+        pending = null
+        worker.postMessage({ type: 'close' })
+        worker.terminate()
+      }
+    }
+  }
+
+  async function loadPose() {
+    const canWorker = workerRef.current && typeof Worker !== 'undefined' && typeof createImageBitmap === 'function'
+    const loaders = canWorker ? [loadPoseWorker, loadPoseFrom] : [loadPoseFrom]
+    let lastErr = null
+    for (const base of resolvePoseBases(policyRef.current ?? undefined)) {
+      for (const load of loaders) {
+        const where = load === loadPoseWorker ? 'worker' : 'main thread'
+        const source = base === POSE_LOCAL_BASE ? 'local' : POSE_CDN_BASES.includes(base) ? 'cdn' : 'custom'
+        try {
+          debug && console.log(`[MotionDetector] loading pose (${where}) from:`, base)
+          report({ phase: 'loading', base, source })
+          const p = await load(base)
+          debug && console.log(`[MotionDetector] pose loaded (${where}) from:`, base)
+          report({ base, source, worker: !!p.worker })
+          return p
+        } catch (e) {
+          lastErr = e
+          console.warn(`[MotionDetector] failed (${where}) from base:`, base, e)
+          if (e?.name === 'AssetError') break   // same files for the other loader
+        }
+      }
+    }
+    throw lastErr || new Error('All pose bases failed')
+  }
+  const loadPoseRef = React.useRef(loadPose)
+  loadPoseRef.current = loadPose
+
+  // one frame in flight at a time, so frameTRef still belongs to these results
+  const onResults = React.useCallback((res, t) => {
+    const lm = res.poseLandmarks
+    if (debug) console.log('[MotionDetector] results?', !!lm)
+    const now = t ?? frameTRef.current
+    recorderRef.current?.push(lm, now, getAspect())
+    process(lm, now)
+  }, [process, getAspect, debug])
+
+  // stamp + send the current camera frame; skipped when no new frame arrived
+  const sendFrame = React.useCallback(async (v) => {
+    const t = clockRef.current?.now() ?? performance.now()
+    if (t === frameTRef.current) return
+    frameTRef.current = t
+    await poseRef.current.send({ image: v })
+  }, [])
+
+  // worker died mid-run → reload the model on the main thread for the rest of
+  // this run (the status chip says so); false when that fails too, and the
+  // retry gesture then tries the worker again
+  const recoverFromWorker = React.useCallback(async (err) => {
+    console.warn('[MotionDetector] pose worker failed; falling back to the main thread:', err)
+    try { poseRef.current?.close() } catch (e) { console.warn('[MotionDetector] close failed:', e) }
+    poseRef.current = null
+    workerRef.current = false
+    report({ phase: 'loading', workerFailed: true, message: String(err?.message || err) })
+    const session = sessionRef.current
+    try {
+      const pose = await loadPoseRef.current()
+      if (!session?.live) {   // unmounted / restarted while loading
+        try { pose.close() } catch (e) { console.warn('[MotionDetector] close failed:', e) }
+        return false
+      }
+      poseRef.current = pose
+      report({ phase: 'running', message: null })
+      return true
+    } catch (e) {
+      if (!session?.live) return false
+      console.warn('[MotionDetector] main-thread fallback failed; will retry on user gesture:', e)
+      workerRef.current = useWorker
+      runningRef.current = false
+      startedRef.current = false
+      waitingGesture.current = true
+      report({ phase: 'model-error', workerFailed: false, message: String(e?.message || e) })
+      return false
+    }
+  }, [report, useWorker])
+
+  // inference pump: one frame at a time, paced to inferenceFps (not to rAF)
+  const loop = React.useCallback(async () => {
+    const t0 = performance.now()
+    const v = videoRef.current
+    if (poseRef.current && v && v.readyState >= 2) {
+      try {
+        await sendFrame(v)
+      } catch (e) {
+        // a single bad frame is just skipped; a dead worker needs a new model
+        if (e?.name === 'PoseWorkerError' && !(await recoverFromWorker(e))) return
+      }
+    }
+    if (!poseRef.current) return   // closed while the frame was in flight
+    const wait = Math.max(0, 1000 / fpsRef.current - (performance.now() - t0))
+    pumpRef.current = setTimeout(loop, wait)
+  }, [sendFrame, recoverFromWorker])
+
+  // (re)open the camera stream; an explicit deviceId replaces facingMode
+  const openCamera = React.useCallback(async (id) => {
+    if (!navigator.mediaDevices?.getUserMedia) {
+      throw Object.assign(new Error('getUserMedia not available'), { name: 'NotFoundError' })
+    }
+    const video = id
+      ? { deviceId: { exact: id }, width:640, height:480 }
+      : { facingMode:'user', width:640, height:480 }
+    const stream = await navigator.mediaDevices.getUserMedia({ video, audio:false })
+    const v = videoRef.current
+    const old = v.srcObject; if (old) old.getTracks().forEach(t => t.stop())
+    v.srcObject = stream
+    await v.play().catch(()=>{})
+  }, [])
+
+  const start = React.useCallback(async () => {
+    if (startedRef.current) return
+    startedRef.current = true
+    let stage = 'model'
+    try {
+      if (!poseRef.current) poseRef.current = await loadPose()   // keep a loaded model across retries
+      stage = 'camera'
+      report({ phase: 'camera' })
+      const v = videoRef.current
+      v.playsInline = true; v.muted = true; v.autoplay = true
+      await openCamera(deviceRef.current)
+      if (!clockRef.current) clockRef.current = makeFrameClock(v)
+      for (let i=0;i<2;i++) if (poseRef.current && v.readyState>=2) await sendFrame(v)
+      runningRef.current = true
+      report({ phase: 'running', message: null })
+      pumpRef.current = setTimeout(loop, 0)
+      console.log('[MotionDetector] camera running', poseRef.current.worker ? '(worker)' : '(main thread)')
+    } catch (e) {
+      startedRef.current = false
+      const message = String(e?.message || e)
+      if (FATAL_CAMERA_ERRORS.includes(e?.name)) {
+        console.warn('[MotionDetector] camera unavailable:', e)
+        report({ phase: CAMERA_ERROR_PHASES[e.name], message })
+        onErrorRef.current?.(e)
+        return
+      }
+      waitingGesture.current = true
+      if (e?.name === 'AssetError') {
+        report({ phase: 'assets-missing', message, base: e.base, missing: e.missing, mismatched: e.mismatched })
+        return
+      }
+      report({ phase: stage === 'model' ? 'model-error' : 'error', message })
+      console.warn('[MotionDetector] start failed; will retry on user gesture:', e)
+    }
+  }, [loop, openCamera, sendFrame, report])
+
+  // camera picker: swap the stream in place, keep the model running
+  React.useEffect(() => {
+    deviceRef.current = deviceId
+    if (!runningRef.current) return
+    openCamera(deviceId).catch(e => {
+      console.warn('[MotionDetector] switching camera failed:', e)
+      report({ phase: 'error', message: String(e?.message || e) })
+    })
+  }, [deviceId, openCamera, report])
+
+  // retry button
+  React.useEffect(() => {
+    if (!retryKey) return
+    waitingGesture.current = false
+    start()
+  }, [retryKey, start])
+
+  React.useEffect(() => {
+    if (!window.isSecureContext && !location.origin.startsWith('http://localhost')) {
+      console.warn('Camera requires HTTPS or http://localhost')
+      report({ phase: 'insecure', message: null })
+      onErrorRef.current?.(Object.assign(new Error('Camera requires HTTPS or http://localhost'), { name: 'SecurityError' }))
+      return
+    }
+    const session = { live: true }
+    sessionRef.current = session
+    start()
+    const retry = () => { if (waitingGesture.current) start() }
+    window.addEventListener('pointerdown', retry)
+    window.addEventListener('keydown', retry)
+    return () => {
+      window.removeEventListener('pointerdown', retry)
+      window.removeEventListener('keydown', retry)
+      session.live = false
+      clearTimeout(pumpRef.current)
+      runningRef.current = false
+      try { poseRef.current?.close() } catch {}
+      poseRef.current = null
+      clockRef.current?.stop()
+      clockRef.current = null
+      const s = videoRef.current?.srcObject; if (s) s.getTracks().forEach(t => t.stop())
+    }
+  }, [start, report])
+
+  return (
+    <video
+      ref={videoRef}
+      style={{
+        position:'fixed',
+        width: showVideo ? 240 : 1,
+        height: showVideo ? 180 : 1,
+        bottom: showVideo ? 12 : 'auto',
+        right: showVideo ? 12 : 'auto',
+        border: showVideo ? '1px solid #0f0' : 'none',
+        opacity: showVideo ? 0.85 : 0,
+        zIndex: 99999,
+        pointerEvents: 'none',
+      }}
+    />
+  )
+}
+
+/* -------------------- Input providers (camera / keyboard / pointer / gamepad) -------------------- */
+// Every provider produces the same signal MotionDetector does:
+//   onChange(motionValue, t) – unbounded, ~0 idle, a few hundred at full effort;
+//                              t = capture time (performance.now() ms)
+//   onJump(event)            – { id, takeoff, landing, airtime, height, confidence }
+const INPUT_PROVIDERS = ['camera', 'keyboard', 'pointer', 'gamepad', 'tap', 'replay']
+const TAP_SOURCES = {
+  keyboard: ['keyboard'],
+  pointer: ['pointer'],
+  gamepad: ['gamepad'],
+  tap: ['keyboard', 'pointer', 'gamepad'],  // any of them (default camera fallback)
+}
+const TAP_KEYS = ['Space', 'ArrowUp']
+
+/**
+ * Synthesizes motion from "jump" presses: holding = airborne (motion at peak),
+ * release = landing (one jump event, airtime = hold time), then motion decays.
+ * Emits at the same ~15 Hz cadence as the camera path.
+ */
+// a held press is a jump in progress: airtime (and so height) grows until release
+const tapAirtime = (ms) => THREE.MathUtils.clamp(ms, 150, 800)
+const tapHeight = (airtime) => THREE.MathUtils.mapLinear(airtime, 150, 800, 0.05, 0.2)   // same units as camera jumps
+
+function useTapMotion({ onChange, onJump, onAir, peak = 220, decay = 4, hz = 15 }) {
+  const st = useRef({ level: 0, down: 0 })
+  const cbRef = useRef({ onChange, onJump, onAir })
+  useEffect(() => { cbRef.current = { onChange, onJump, onAir } }, [onChange, onJump, onAir])
+
+  useEffect(() => {
+    let last = performance.now()
+    const iv = setInterval(() => {
+      const now = performance.now()
+      const s = st.current
+      if (s.down) s.level = peak
+      else s.level *= Math.exp(-decay * (now - last) / 1000)
+      if (s.level < 1) s.level = 0
+      last = now
+      cbRef.current.onChange?.(s.level, now)
+      if (s.down) cbRef.current.onAir?.({ takeoff: s.down, height: tapHeight(tapAirtime(now - s.down)), t: now })
+    }, 1000 / hz)
+    return () => clearInterval(iv)
+  }, [peak, decay, hz])
+
+  const press = React.useCallback(() => {
+    const s = st.current
+    if (s.down) return
+    s.down = performance.now()
+    s.level = peak
+    cbRef.current.onAir?.({ takeoff: s.down, height: tapHeight(150), t: s.down })
+  }, [peak])
+
+  const release = React.useCallback(() => {
+    const s = st.current
+    if (!s.down) return
+    const now = performance.now()
+    const airtime = tapAirtime(now - s.down)
+    s.down = 0
+    cbRef.current.onJump?.({
+      id: nextJumpId(),
+      takeoff: now - airtime,
+      landing: now,
+      airtime,
+      height: tapHeight(airtime),
+      confidence: 1
+    })
+  }, [])
+
+  return { press, release }
+}
+
+function TapInput({ sources = TAP_SOURCES.tap, keys = TAP_KEYS, onChange, onJump, onAir }) {
+  const { press, release } = useTapMotion({ onChange, onJump, onAir })
+  const useKeys = sources.includes('keyboard')
+  const usePointer = sources.includes('pointer')
+  const usePad = sources.includes('gamepad')
+
+  // keyboard: Space / ArrowUp
+  useEffect(() => {
+    if (!useKeys) return
+    const down = (e) => {
+      if (!keys.includes(e.code)) return
+      e.preventDefault()
+      if (!e.repeat) press()
+    }
+    const up = (e) => { if (keys.includes(e.code)) release() }
+    window.addEventListener('keydown', down)
+    window.addEventListener('keyup', up)
+    return () => {
+      window.removeEventListener('keydown', down)
+      window.removeEventListener('keyup', up)
+    }
+  }, [useKeys, keys, press, release])
+
+  // pointer: mouse click / touch anywhere
+  useEffect(() => {
+    if (!usePointer) return
+    window.addEventListener('pointerdown', press)
+    window.addEventListener('pointerup', release)
+    window.addEventListener('pointercancel', release)
+    return () => {
+      window.removeEventListener('pointerdown', press)
+      window.removeEventListener('pointerup', release)
+      window.removeEventListener('pointercancel', release)
+    }
+  }, [usePointer, press, release])
+
+  // gamepad: any face button (0..3); the Gamepad API has no events for buttons → poll
+  useEffect(() => {
+    if (!usePad || !navigator.getGamepads) return
+    let raf = 0
+    let held = false
+    const poll = () => {
+      const pads = Array.from(navigator.getGamepads() || [])
+      const pressed = pads.some(p => p?.buttons?.slice(0, 4).some(b => b.pressed))
+      if (pressed && !held) press()
+      if (!pressed && held) release()
+      held = pressed
+      raf = requestAnimationFrame(poll)
+    }
+    raf = requestAnimationFrame(poll)
+    return () => cancelAnimationFrame(raf)
+  }, [usePad, press, release])
+
+  return null
+}
+
+/* -------------------- Pose recording / replay -------------------- */
+// File format (JSON):
+//   { version, createdAt, aspect, calibration, frames: [{ t (ms from start), lm: [[x,y,z,vis] ×33] | null }] }
+const POSE_REC_VERSION = 1
+const r4 = (v) => Math.round(v * 1e4) / 1e4
+const packLandmarks = (lm) => lm ? lm.map(p => [r4(p.x), r4(p.y), r4(p.z ?? 0), r4(p.visibility ?? 0)]) : null
+const unpackLandmarks = (lm) => lm ? lm.map(([x, y, z, visibility]) => ({ x, y, z, visibility })) : null
+
+// Collects raw poseLandmarks (every model result, before any throttling)
+function makePoseRecorder() {
+  let frames = []
+  let t0 = 0
+  let aspect = 4 / 3
+  let recording = false
+  return {
+    get recording() { return recording },
+    get count() { return frames.length },
+    start() { frames = []; recording = true },
+    stop() { recording = false },
+    push(lm, now, videoAspect) {
+      if (!recording) return
+      if (videoAspect) aspect = videoAspect
+      if (!frames.length) t0 = now
+      frames.push({ t: Math.round((now - t0) * 10) / 10, lm: packLandmarks(lm) })
+    },
+    toJSON(meta = {}) {
+      return { version: POSE_REC_VERSION, createdAt: new Date().toISOString(), aspect, ...meta, frames }
+    },
+    download(meta, name = `pose-${Date.now()}.json`) {
+      const blob = new Blob([JSON.stringify(this.toJSON(meta))], { type: 'application/json' })
+      const a = document.createElement('a')
+      a.href = URL.createObjectURL(blob)
+      a.download = name
+      a.click()
+      setTimeout(() => URL.revokeObjectURL(a.href), 1000)
+    }
+  }
+}
+
+// Small REC / Save panel (shown with ?record)
+function PoseRecorderPanel({ recorder, meta }) {
+  const [, setTick] = useState(0)
+  useEffect(() => {
+    const iv = setInterval(() => setTick(t => t + 1), 500)
+    return () => clearInterval(iv)
+  }, [])
+  const btn = {
+    font: '600 12px system-ui, sans-serif',
+    padding: '4px 10px',
+    borderRadius: 6,
+    border: 'none',
+    cursor: 'pointer'
+  }
+  return (
+    <div style={{
+      position: 'fixed',
+      bottom: 12,
+      left: 12,
+      display: 'flex',
+      gap: 8,
+      alignItems: 'center',
+      background: 'rgba(0,0,0,0.55)',
+      color: '#fff',
+      padding: '6px 10px',
+      borderRadius: 8,
+      fontFamily: 'monospace',
+      zIndex: 1000
+    }}>
+      <span style={{ color: recorder.recording ? '#ff5a5a' : '#aaa' }}>
+        {recorder.recording ? '● REC' : '○ idle'} {recorder.count}f
+      </span>
+      <button
+        style={btn}
+        onClick={() => { recorder.recording ? recorder.stop() : recorder.start(); setTick(t => t + 1) }}
+      >
+        {recorder.recording ? 'Stop' : 'Record'}
+      </button>
+      <button style={btn} disabled={!recorder.count} onClick={() => recorder.download(meta)}>Save</button>
+    </div>
+  )
+}
+
+/**
+ * Feeds a recording back through usePoseProcessing with its recorded
+ * timestamps, so the motion/jump output is the same on every run.
+ */
+function ReplayInput({ url, loop = true, speed = 1, onChange, onJump, onAir, onCalibration, onCalibrationProgress, onGesture, onSignal, filters, onError, feed = null, hands = null, debug = false }) {
+  const [rec, setRec] = useState(null)
+  const aspectRef = useRef(4 / 3)
+  const getAspect = React.useCallback(() => aspectRef.current, [])
+  const cbRef = useRef({ onCalibration, onError })
+  useEffect(() => { cbRef.current = { onCalibration, onError } }, [onCalibration, onError])
+
+  useEffect(() => {
+    let cancelled = false
+    fetch(url, { cache: 'no-store' })
+      .then(r => { if (!r.ok) throw new Error(`Replay ${url}: ${r.status}`); return r.json() })
+      .then(data => {
+        if (cancelled) return
+        if (!Array.isArray(data?.frames) || !data.frames.length) throw new Error(`Replay ${url}: no frames`)
+        aspectRef.current = data.aspect ?? 4 / 3
+        if (data.calibration) cbRef.current.onCalibration?.(data.calibration)
+        setRec(data)
+      })
+      .catch(e => { console.warn('[ReplayInput] load failed:', e); cbRef.current.onError?.(e) })
+    return () => { cancelled = true }
+  }, [url])
+
+  // the recording's own calibration (or calibrate from its frames) → deterministic
+  const process = usePoseProcessing({
+    onChange, onJump, onAir,
+    calibration: rec?.calibration ?? null,
+    onCalibration, onCalibrationProgress,
+    onGesture, onSignal, filters, feed, hands, getAspect, debug
+  })
+
+  useEffect(() => {
+    if (!rec) return
+    const frames = rec.frames
+    const duration = frames[frames.length - 1].t
+    const start = performance.now()
+    let base = start    // keeps timestamps increasing across loops
+    let i = 0
+    let raf = 0
+    const tick = () => {
+      const elapsed = (performance.now() - start) * speed
+      while (i < frames.length && base - start + frames[i].t <= elapsed) {
+        process(unpackLandmarks(frames[i].lm), base + frames[i].t)
+        i++
+      }
+      if (i >= frames.length) {
+        if (!loop) { onChange?.(0, performance.now()); return }
+        base += duration + 100
+        i = 0
+      }
+      raf = requestAnimationFrame(tick)
+    }
+    raf = requestAnimationFrame(tick)
+    return () => cancelAnimationFrame(raf)
+  }, [rec, loop, speed, process, onChange])
+
+  return null
+}
+
+// ?input=keyboard|pointer|gamepad|tap|camera   (?replay=<url> implies input=replay)
+const inputFromUrl = () => {
+  const q = new URLSearchParams(window.location.search)
+  if (q.get('replay')) return 'replay'
+  const p = q.get('input')
+  return INPUT_PROVIDERS.includes(p) ? p : null
+}
+const replayUrlFromUrl = () => new URLSearchParams(window.location.search).get('replay')
+
+/**
+ * Renders the active provider. The camera (or a broken replay) hands over to
+ * `fallback` through onFallback(error) when getUserMedia fails.
+ */
+function InputProvider({ provider = 'camera', replayUrl = null, onFallback, onChange, onJump, onAir, ...poseProps }) {
+  if (provider === 'camera') {
+    return <MotionDetector onChange={onChange} onJump={onJump} onAir={onAir} onError={onFallback} {...poseProps} />
+  }
+  if (provider === 'replay') {
+    const { onCalibration, onCalibrationProgress, onGesture, onSignal, filters, feed, hands, debug } = poseProps
+    return (
+      <ReplayInput
+        url={replayUrl}
+        onChange={onChange}
+        onJump={onJump}
+        onAir={onAir}
+        onCalibration={onCalibration}
+        onCalibrationProgress={onCalibrationProgress}
+        onError={onFallback}
+        onGesture={onGesture}
+        onSignal={onSignal}
+        filters={filters}
+        feed={feed}
+        hands={hands}
+        debug={debug}
+      />
+    )
+  }
+  return <TapInput sources={TAP_SOURCES[provider] ?? TAP_SOURCES.tap} onChange={onChange} onJump={onJump} onAir={onAir} />
+}
+
+
+
+
+
+
+
+/* -------------------- Moon System (moon + 3 orbiting sprites) -------------------- */
+/**
+ * Places a moon that orbits the world origin, and a ring of sprites (w1..w3)
+ * that orbit around the moon.
+ */
 function MoonSystem({
   moonTexture = `${BASE}img/moon.png`,
   ringTextures = [
@@ -1191,153 +3275,1340 @@ function MoonSystem({
     `${BASE}img/w5.png`, `${BASE}img/w6.png`, `${BASE}img/w7.png`
   ],
 
-  // world orbit
-  moonOrbitRadius = 36,
-  moonHeight = 18,
-  moonOrbitSpeed = 0.06,
+  // world orbit
+  moonOrbitRadius = 36,
+  moonHeight = 18,
+  moonOrbitSpeed = 0.06,
+
+  // these are the *targets* you pass from App (can change each frame)
+  moonSize = 8,             // target size (linked to motion)
+  ringSpinSpeed = 1,      // target spin (linked to motion)
+
+  ringRadius = 60,
+  ringSpriteSize = [6,6,6,6,6,6],
+  flipXIndices = [0, 1],
+
+  // smoothing + anti-wagon-wheel
+  smooth = 0.18,
+  compensateCamera = true,
+  cameraCompFactor = 1,
+}) {
+  const { camera } = useThree()
+  const groupRef = useRef()
+  const ringRef  = useRef()
+  const moonRef  = useRef()
+
+  // --- textures ---
+  const moonMap  = useTexture(moonTexture)
+  const ringMaps = useTexture(ringTextures)
+  useEffect(() => {
+    if (moonMap) {
+      if ('colorSpace' in moonMap) moonMap.colorSpace = THREE.SRGBColorSpace
+      else if ('encoding' in moonMap) moonMap.encoding = THREE.sRGBEncoding
+      moonMap.needsUpdate = true
+    }
+    const arr = Array.isArray(ringMaps) ? ringMaps : [ringMaps]
+    arr.forEach((m, i) => {
+      if (!m) return
+      if ('colorSpace' in m) m.colorSpace = THREE.SRGBColorSpace
+      else if ('encoding' in m) m.encoding = THREE.sRGBEncoding
+      if (flipXIndices.includes(i)) {
+        m.wrapS = THREE.RepeatWrapping; m.repeat.x = -1; m.offset.x = 1
+      } else {
+        m.wrapS = THREE.ClampToEdgeWrapping; m.repeat.x = 1; m.offset.x = 0
+      }
+      m.needsUpdate = true
+    })
+  }, [moonMap, ringMaps, flipXIndices])
+
+  // --- ring placement ---
+  const ringAngles = useMemo(() => {
+    const n = Array.isArray(ringMaps) ? ringMaps.length : 0
+    return Array.from({ length: n }, (_, i) => (i / Math.max(1, n)) * Math.PI * 2)
+  }, [ringMaps])
+
+  // --- smoothing state (current values) ---
+  const sizeCurr = useRef(moonSize)          // start from initial target
+  const spinCurr = useRef(ringSpinSpeed)
+
+  // update targets whenever props change
+  const sizeTgt = useRef(moonSize)
+  const spinTgt = useRef(ringSpinSpeed)
+  useEffect(() => { sizeTgt.current = moonSize }, [moonSize])
+  useEffect(() => { spinTgt.current = ringSpinSpeed }, [ringSpinSpeed])
+
+  // --- incremental rotation + camera compensation ---
+  const ringAngle = useRef(0)
+  const prevYaw   = useRef(null)
+  const TAU = Math.PI * 2
+  const getYawAround = (cx, cz) => {
+    const dx = camera.position.x - cx
+    const dz = camera.position.z - cz
+    return Math.atan2(dx, dz) // (-π, π]
+  }
+
+  useFrame(({ clock }, dtRaw) => {
+    const t  = clock.getElapsedTime()
+    const dt = Math.min(dtRaw, 0.05)
+
+    // move moon around world
+    const x = Math.cos(t * moonOrbitSpeed) * moonOrbitRadius
+    const z = Math.sin(t * moonOrbitSpeed) * moonOrbitRadius
+    groupRef.current?.position.set(x, moonHeight, z)
+
+    // smooth current → target
+    const k = 1 - Math.pow(1 - smooth, dt * 60)
+    sizeCurr.current = THREE.MathUtils.lerp(sizeCurr.current, sizeTgt.current, k)
+    spinCurr.current = THREE.MathUtils.lerp(spinCurr.current, spinTgt.current, k)
+
+    // apply smoothed size + gentle roll
+    if (moonRef.current) {
+      const s = sizeCurr.current
+      moonRef.current.scale.set(s, s, 1)
+      moonRef.current.rotation.z = t * 0.05
+    }
+
+    // compensate camera yaw around the moon’s center
+    let dYaw = 0
+    if (compensateCamera && groupRef.current) {
+      const yaw = getYawAround(groupRef.current.position.x, groupRef.current.position.z)
+      if (prevYaw.current == null) prevYaw.current = yaw
+      dYaw = yaw - prevYaw.current
+      if (dYaw > Math.PI) dYaw -= TAU
+      if (dYaw < -Math.PI) dYaw += TAU
+      prevYaw.current = yaw
+    }
+
+    // incremental rotation (prevents perceived “backwards”)
+    const MAX_STEP = 0.35
+    const ownStep  = THREE.MathUtils.clamp(spinCurr.current * dt, -MAX_STEP, MAX_STEP)
+    const camStep  = dYaw * cameraCompFactor
+
+    ringAngle.current = (ringAngle.current - ownStep - camStep) % TAU
+    if (ringRef.current) ringRef.current.rotation.y = ringAngle.current
+  })
+
+  return (
+    <group ref={groupRef}>
+      <sprite ref={moonRef} scale={[moonSize, moonSize, 1]}>
+        <spriteMaterial map={moonMap} transparent depthWrite={false} toneMapped={false} />
+      </sprite>
+
+      <group ref={ringRef}>
+        {Array.isArray(ringMaps) && ringMaps.map((tex, i) => {
+          const a = ringAngles[i]
+          const px = Math.cos(a) * ringRadius
+          const pz = Math.sin(a) * ringRadius
+          const s  = ringSpriteSize[i] ?? ringSpriteSize[0] ?? 1.6
+          return (
+            <sprite key={i} position={[px, 0, pz]} scale={[s, s, 1]}>
+              <spriteMaterial map={tex} transparent depthWrite={false} toneMapped={false} />
+            </sprite>
+          )
+        })}
+      </group>
+    </group>
+  )
+}
+
+/* -------------------- Scoring (fixed timestep on the song clock) -------------------- */
+// Scoring runs in fixed `step`s on a grid of song time (k·step), `lag` s behind
+// the clock. Inputs are stamped with their capture time (as song time) and
+// queued; each step applies those at or before it: motion sets the level for
+// the trickle and the attached parts, jumps go to the parts (combo, rain
+// field), then the parts step. Input that arrives within `lag` of its capture
+// lands on the same step at any frame rate, so the same input gives the same
+// score. Other points (Pu) are added as they happen. Listeners hear only
+// when the whole-number score changes.
+//
+// A part is { reset?(), sync?(t), jump?(j, t), step?(t, dt, motion) }.
+function makeScoreSim({ step = 1 / 60, lag = 0.15 } = {}) {
+  const listeners = new Set()
+  const parts = new Set()
+  let cfg = { rate: 0, dead: 20, sens: 180 }
+  let score = 0
+  let shown = 0
+  let k = null          // last integrated step index (null = not started)
+  let mv = 0
+  let samples = []      // pending [songTime, motion], in arrival order
+  let jumps = []        // pending [songTime, jump], in arrival order
+
+  const notify = () => {
+    const s = Math.floor(score)
+    if (s === shown) return
+    shown = s
+    listeners.forEach(fn => fn())
+  }
+  return {
+    subscribe(fn) { listeners.add(fn); return () => listeners.delete(fn) },
+    score: () => shown,
+    configure(next) { cfg = { ...cfg, ...next } },
+    attach(part) { parts.add(part); return () => parts.delete(part) },
+    reset() { score = 0; k = null; mv = 0; samples = []; jumps = []; parts.forEach(p => p.reset?.()); notify() },
+    motion(v, t) { samples.push([t, v]) },
+    jump(j, t) { jumps.push([t, j]) },
+    add(points) { score += points; notify() },
+    advance(t) {
+      const target = Math.floor((t - lag) / step)
+      if (k == null || target < k - Math.round(0.5 / step)) {   // start, or a seek backwards
+        k = target
+        samples = samples.filter(([st]) => st > k * step)
+        jumps = jumps.filter(([jt]) => jt > k * step)
+        parts.forEach(p => p.sync?.(k * step))
+        return
+      }
+      for (; k < target; k++) {
+        const ts = (k + 1) * step
+        while (samples.length && samples[0][0] <= ts) mv = samples.shift()[1]
+        while (jumps.length && jumps[0][0] <= ts) {
+          const [jt, j] = jumps.shift()
+          parts.forEach(p => p.jump?.(j, jt))
+        }
+        if (cfg.rate) score += cfg.rate * step * (1 - Math.exp(-Math.max(0, mv - cfg.dead) / cfg.sens))
+        parts.forEach(p => p.step?.(ts, step, mv))
+      }
+      notify()
+    }
+  }
+}
+
+// whole-number score for the HUD, at most `hz` updates a second (last one always lands)
+function useScore(sim, hz = 10) {
+  const [score, setScore] = useState(sim.score)
+  useEffect(() => {
+    let last = 0, timer = 0
+    const push = () => { last = performance.now(); timer = 0; setScore(sim.score()) }
+    const off = sim.subscribe(() => {
+      if (timer) return
+      const wait = 1000 / hz - (performance.now() - last)
+      if (wait <= 0) push()
+      else timer = setTimeout(push, wait)
+    })
+    return () => { off(); clearTimeout(timer) }
+  }, [sim, hz])
+  return score
+}
+
+/**
+ * Feeds a makeScoreSim: jumps stamped with their landing's song time, the rain
+ * field (stepped by the sim; its catches score drops) and the combo; steps the
+ * simulation to `clock()` every frame while playing. Motion samples come from
+ * the input callback (App), stamped with their capture time.
+ */
+function ScoreTicker({ sim, clock, gameActive, jump = null, rain = null, catcher = null, combo = null, dropPoints = 5, jumpBonus = 0, rate = 0, dead = 20, sens = 180 }) {
+  useEffect(() => { sim.configure({ rate, dead, sens }) }, [sim, rate, dead, sens])
+  useEffect(() => (rain ? sim.attach(rain) : undefined), [sim, rain])
+
+  // caught rain is the score (× the timing grade of the jump that caught it, × combo)
+  const activeRef = useRef(gameActive)
+  activeRef.current = gameActive
+  useEffect(() => catcher?.on('catch', ({ n, mult }) => {
+    if (activeRef.current) sim.add(n * dropPoints * mult * (combo?.getState().mult ?? 1))
+  }), [sim, catcher, combo, dropPoints])
+
+  // on the sim's grid a jump builds the combo and scores a one-off bonus
+  // (bigger + cleaner jumps score more); the combo decays on song time (ms)
+  const bonusRef = useRef(jumpBonus)
+  bonusRef.current = jumpBonus
+  useEffect(() => sim.attach({
+    jump(j, t) {
+      combo?.jump(j, t * 1000)
+      if (!bonusRef.current) return
+      const heightK = Math.min(1, j.height / 0.1)
+      sim.add(bonusRef.current * j.confidence * (1 + heightK) * (j.timing?.mult ?? 1) * (combo?.getState().mult ?? 1))
+    },
+    step(t) { combo?.tick(t * 1000) }
+  }), [sim, combo])
+
+  const lastJumpId = useRef(0)
+  useEffect(() => {
+    if (!jump || jump.id === lastJumpId.current) return
+    lastJumpId.current = jump.id
+    if (gameActive) sim.jump(jump, clock() - (performance.now() - jump.landing) / 1000)
+  }, [sim, clock, jump, gameActive])
+
+  useFrame(() => {
+    if (gameActive) sim.advance(clock())
+  })
+  return null
+}
+
+/* -------------------- Combo (consecutive jumps → multiplier) -------------------- */
+// Qualifying jumps (confident, not off-beat) within `window` s of each other
+// build the combo; an off-beat miss breaks it, and once the window runs out it
+// drains one jump per `decayStep` s. Levels set the score multiplier. Times are
+// ms on the caller's clock (the score sim passes song time; default wall clock).
+const COMBO_LEVELS = [
+  { at: 0,  mult: 1 },
+  { at: 3,  mult: 2, callout: 'x2 Drizzle' },
+  { at: 6,  mult: 3, callout: 'x3 Downpour' },
+  { at: 10, mult: 4, callout: 'x4 Thunder!' },
+  { at: 15, mult: 5, callout: 'x5 Storm!' },
+]
+const comboLevel = (count) => {
+  let i = 0
+  while (i + 1 < COMBO_LEVELS.length && count >= COMBO_LEVELS[i + 1].at) i++
+  return i
+}
+
+function makeCombo({ window = 2.5, decayStep = 0.6, minConfidence = 0.4 } = {}) {
+  const listeners = new Set()
+  const EMPTY = { count: 0, level: 0, mult: 1, until: 0, span: 1, best: 0, callout: null }
+  let state = EMPTY
+  const set = (count, patch) => {
+    const level = comboLevel(count)
+    state = { ...state, count, level, mult: COMBO_LEVELS[level].mult, ...patch }
+    listeners.forEach(fn => fn())
+  }
+  return {
+    subscribe(fn) { listeners.add(fn); return () => listeners.delete(fn) },
+    getState: () => state,
+    jump(j, now = performance.now()) {
+      if (j.timing?.grade === 'miss') return set(0, { until: 0 })
+      if ((j.confidence ?? 1) < minConfidence) return
+      const count = state.count + 1
+      const level = comboLevel(count)
+      set(count, {
+        until: now + window * 1000,
+        span: window * 1000,
+        best: Math.max(state.best, count),
+        callout: level > state.level ? { text: COMBO_LEVELS[level].callout, level, t: now } : state.callout
+      })
+    },
+    tick(now = performance.now()) {
+      if (!state.count || now < state.until) return
+      set(state.count - 1, { until: now + decayStep * 1000, span: decayStep * 1000 })
+    },
+    reset() {
+      state = EMPTY
+      listeners.forEach(fn => fn())
+    }
+  }
+}
+const useCombo = (combo) => React.useSyncExternalStore(combo.subscribe, combo.getState)
+// just the level: re-renders on level changes only, not every jump / decay step
+const useComboLevel = (combo) => React.useSyncExternalStore(combo.subscribe, () => combo.getState().level)
+
+// `value` until `ms` after `at` (performance.now() ms), then null — on a timer,
+// so a HUD callout clears without waiting for some other re-render
+function useFlash(value, ms, at) {
+  const [shown, setShown] = useState(null)
+  useEffect(() => {
+    const left = value ? ms - (performance.now() - (at ?? performance.now())) : 0
+    if (left <= 0) { setShown(null); return }
+    setShown(value)
+    const id = setTimeout(() => setShown(null), left)
+    return () => clearTimeout(id)
+  }, [value, ms, at])
+  return shown
+}
+
+// HUD line: combo count, multiplier, a draining meter; level-ups get a callout.
+// `clock` (s) is the one the combo is driven on.
+function ComboMeter({ combo, clock = () => performance.now() / 1000 }) {
+  const { count, mult, callout } = useCombo(combo)
+  const barRef = useRef(null)
+  useEffect(() => {
+    let raf = 0
+    const tick = () => {
+      const s = combo.getState()
+      const left = s.count ? Math.max(0, (s.until - (clock() ?? 0) * 1000) / s.span) : 0
+      if (barRef.current) barRef.current.style.width = `${Math.min(1, left) * 100}%`
+      raf = requestAnimationFrame(tick)
+    }
+    raf = requestAnimationFrame(tick)
+    return () => cancelAnimationFrame(raf)
+  }, [combo, clock])
+
+  const [shown, setShown] = useState(null)
+  useEffect(() => {
+    if (!callout) return
+    setShown(callout)
+    const id = setTimeout(() => setShown(null), 1500)
+    return () => clearTimeout(id)
+  }, [callout])
+
+  return (
+    <>
+      <div style={{ color: mult > 1 ? '#ff9d3a' : '#aaa' }}>Combo: {count} ×{mult}</div>
+      <div style={{ width: 120, height: 5, background: 'rgba(255,255,255,0.15)', borderRadius: 3, marginTop: 2 }}>
+        <div ref={barRef} style={{ width: 0, height: '100%', background: '#ff9d3a', borderRadius: 3 }} />
+      </div>
+      {shown && (
+        <div key={shown.t} style={{
+          position: 'fixed',
+          top: '22%',
+          left: '50%',
+          transform: 'translateX(-50%)',
+          color: '#ff9d3a',
+          font: `900 ${40 + shown.level * 8}px system-ui, sans-serif`,
+          textShadow: '0 0 18px rgba(255,157,58,0.8), 0 2px 6px #000',
+          pointerEvents: 'none',
+          zIndex: 1001
+        }}>{shown.text}</div>
+      )}
+    </>
+  )
+}
+
+/* -------------------- Skeleton preview (privacy-safe debug view) -------------------- */
+// Written by usePoseProcessing, read by SkeletonPreview's own rAF → no React renders.
+function makePreviewFeed(size = 120) {
+  const hist = new Float32Array(size)
+  const rawHist = new Float32Array(size)   // before the motion filter stages
+  let head = 0
+  let lm = null
+  let last = null   // latest onSignal payload (position raw/filtered, velocity)
+  return {
+    size,
+    hist,
+    rawHist,
+    get head() { return head },
+    get lm() { return lm },
+    get signal() { return last },
+    landmarks(next) { lm = next },
+    motion(v, raw = v) { hist[head] = v; rawHist[head] = raw; head = (head + 1) % size },
+    onSignal: (sig) => { last = sig }
+  }
+}
+
+// MediaPipe Pose body connections (face points omitted except the nose)
+const POSE_BONES = [
+  [11, 12], [11, 13], [13, 15], [12, 14], [14, 16],
+  [15, 17], [15, 19], [15, 21], [16, 18], [16, 20], [16, 22],
+  [11, 23], [12, 24], [23, 24],
+  [23, 25], [25, 27], [27, 29], [29, 31], [27, 31],
+  [24, 26], [26, 28], [28, 30], [30, 32], [28, 32],
+]
+const TRACKED_JOINTS = [11, 12, 23, 24]   // shoulders + hips used by takeAvg
+
+/**
+ * Draws only what the model sees: the skeleton on a dark canvas, the tracked
+ * hips/shoulders highlighted, and the motion value as a sparkline (unfiltered
+ * value faint behind it). No video.
+ */
+function SkeletonPreview({ feed, width = 240, height = 180, bottom = 12, sparkMax = 300 }) {
+  const canvasRef = useRef(null)
+
+  useEffect(() => {
+    const cvs = canvasRef.current
+    const ctx = cvs?.getContext('2d')
+    if (!ctx || !feed) return
+    const sparkH = 36
+    const bodyH = height - sparkH
+    let raf = 0
+
+    const draw = () => {
+      ctx.clearRect(0, 0, width, height)
+      ctx.fillStyle = 'rgba(10,6,20,0.8)'
+      ctx.fillRect(0, 0, width, height)
+
+      const lm = feed.lm
+      if (lm) {
+        const px = (p) => [p.x * width, p.y * bodyH]
+        const seen = (i) => (lm[i]?.visibility ?? 0) >= 0.5
+        ctx.lineWidth = 2
+        for (const [a, b] of POSE_BONES) {
+          if (!lm[a] || !lm[b]) continue
+          ctx.strokeStyle = seen(a) && seen(b) ? 'rgba(160,200,255,0.9)' : 'rgba(160,200,255,0.25)'
+          const [ax, ay] = px(lm[a]), [bx, by] = px(lm[b])
+          ctx.beginPath(); ctx.moveTo(ax, ay); ctx.lineTo(bx, by); ctx.stroke()
+        }
+        if (lm[0]) {
+          const [nx, ny] = px(lm[0])
+          ctx.fillStyle = 'rgba(160,200,255,0.9)'
+          ctx.beginPath(); ctx.arc(nx, ny, 4, 0, Math.PI * 2); ctx.fill()
+        }
+        for (const i of TRACKED_JOINTS) {
+          if (!lm[i]) continue
+          const [x, y] = px(lm[i])
+          ctx.fillStyle = seen(i) ? '#ffe98a' : 'rgba(255,120,120,0.8)'
+          ctx.beginPath(); ctx.arc(x, y, 5, 0, Math.PI * 2); ctx.fill()
+        }
+      } else {
+        ctx.fillStyle = '#888'
+        ctx.font = '12px monospace'
+        ctx.fillText('no pose', 8, 18)
+      }
+
+      // sparklines: raw (faint) and filtered motion value (oldest → newest)
+      const { hist, rawHist, size, head } = feed
+      const y0 = height - 4
+      ctx.strokeStyle = 'rgba(255,255,255,0.15)'
+      ctx.beginPath(); ctx.moveTo(0, bodyH); ctx.lineTo(width, bodyH); ctx.stroke()
+      const spark = (data, color, lw) => {
+        ctx.strokeStyle = color
+        ctx.lineWidth = lw
+        ctx.beginPath()
+        for (let k = 0; k < size; k++) {
+          const v = data[(head + k) % size]
+          const x = (k / (size - 1)) * width
+          const y = y0 - Math.min(1, v / sparkMax) * (sparkH - 8)
+          if (k === 0) ctx.moveTo(x, y)
+          else ctx.lineTo(x, y)
+        }
+        ctx.stroke()
+      }
+      spark(rawHist, 'rgba(255,255,255,0.35)', 1)
+      spark(hist, '#7dff9a', 1.5)
+      ctx.fillStyle = '#7dff9a'
+      ctx.font = '11px monospace'
+      ctx.fillText(`mv ${hist[(head + size - 1) % size].toFixed(0)}`, 6, bodyH + 12)
+      ctx.fillStyle = 'rgba(255,255,255,0.6)'
+      ctx.fillText(`raw ${rawHist[(head + size - 1) % size].toFixed(0)}`, 60, bodyH + 12)
+
+      // position filter stages: y raw → filtered, and the velocity from it
+      const sig = feed.signal
+      if (sig && lm) {
+        ctx.fillStyle = 'rgba(160,200,255,0.9)'
+        ctx.fillText(`y ${sig.yRaw.toFixed(3)}→${sig.y.toFixed(3)} vy ${sig.vy.toFixed(2)}`, 6, 14)
+      }
+
+      raf = requestAnimationFrame(draw)
+    }
+    raf = requestAnimationFrame(draw)
+    return () => cancelAnimationFrame(raf)
+  }, [feed, width, height, sparkMax])
+
+  return (
+    <canvas
+      ref={canvasRef}
+      width={width}
+      height={height}
+      style={{
+        position: 'fixed',
+        bottom,
+        right: 12,
+        border: '1px solid rgba(125,255,154,0.6)',
+        borderRadius: 6,
+        zIndex: 99999,
+        pointerEvents: 'none'
+      }}
+    />
+  )
+}
+
+/* -------------------- Camera / pose status overlay -------------------- */
+const CAM_MESSAGES = {
+  idle: 'Starting camera…',
+  loading: 'Loading pose model…',
+  camera: 'Waiting for the camera — allow access if the browser asks',
+  denied: 'Camera permission denied. Allow camera access for this site, then retry.',
+  'no-camera': 'No camera found. Plug one in or pick another below.',
+  busy: 'The camera is in use by another app.',
+  insecure: 'The camera needs HTTPS (or http://localhost).',
+  'model-error': 'The pose model failed to load.',
+  'assets-missing': 'Pose model files are missing or corrupted.',
+  error: 'The camera failed to start.',
+}
+const TRACK_MESSAGES = {
+  none: 'No person detected — step into view',
+  hips: 'Step back — hips not visible',
+}
+const CAMERA_DEVICE_KEY = 'rih.cameraDevice'
+const loadCameraDevice = () => {
+  try { return localStorage.getItem(CAMERA_DEVICE_KEY) || '' } catch { return '' }
+}
+const saveCameraDevice = (id) => {
+  try {
+    if (id) localStorage.setItem(CAMERA_DEVICE_KEY, id)
+    else localStorage.removeItem(CAMERA_DEVICE_KEY)
+  } catch (e) { console.warn('Camera choice not saved:', e) }
+}
+
+/**
+ * Top-right status: a small chip while everything works, a panel with the
+ * problem, a camera picker (enumerateDevices) and a retry button otherwise.
+ */
+function CameraStatusOverlay({ status, tracking = 'ok', showTracking = true, fellBack = false, deviceId = '', onDevice, onRetry }) {
+  const [devices, setDevices] = useState([])
+  const phase = status?.phase ?? 'idle'
+
+  // labels only show up after permission → refresh when the phase changes
+  useEffect(() => {
+    const md = navigator.mediaDevices
+    if (!md?.enumerateDevices) return
+    const refresh = () => md.enumerateDevices()
+      .then(list => setDevices(list.filter(d => d.kind === 'videoinput')))
+      .catch(e => console.warn('enumerateDevices failed:', e))
+    refresh()
+    md.addEventListener?.('devicechange', refresh)
+    return () => md.removeEventListener?.('devicechange', refresh)
+  }, [phase])
+
+  const running = phase === 'running' && !fellBack
+  const trackMsg = running && showTracking ? TRACK_MESSAGES[tracking] : null
+  const problem = !running && !['idle', 'loading', 'camera'].includes(phase)
+  const where = [
+    { local: 'local', cdn: 'CDN', custom: 'custom' }[status?.source],
+    status?.worker ? 'worker' : status?.workerFailed ? 'main thread (worker crashed)' : null
+  ].filter(Boolean).join(' · ')
+
+  const box = {
+    position: 'fixed',
+    top: 12,
+    right: 12,
+    maxWidth: 300,
+    background: 'rgba(0,0,0,0.6)',
+    color: '#fff',
+    padding: '8px 12px',
+    borderRadius: 10,
+    font: '500 13px/1.4 system-ui, sans-serif',
+    zIndex: 1001
+  }
+
+  if (running && !trackMsg) {
+    return (
+      <div style={{ ...box, padding: '4px 10px', fontFamily: 'monospace', fontSize: 12, pointerEvents: 'none' }}>
+        <span style={{ color: '#7dff9a' }}>●</span> camera{where && ` · ${where}`}
+      </div>
+    )
+  }
+
+  // keep clicks here from reaching window listeners (tap input, audio unlock)
+  return (
+    <div style={box} onPointerDown={(e) => e.stopPropagation()}>
+      <div style={{ color: problem ? '#ff8a8a' : '#ffe98a', fontWeight: 700 }}>
+        {problem ? 'Camera problem' : trackMsg ? 'Tracking' : 'Camera'}
+      </div>
+      <div>{trackMsg ?? CAM_MESSAGES[phase] ?? CAM_MESSAGES.error}</div>
+      {phase === 'loading' && status?.source && (
+        <div style={{ color: '#aaa', fontSize: 12 }}>from {{ local: 'local files', cdn: 'CDN', custom: status.base }[status.source]}</div>
+      )}
+      {problem && status?.message && (
+        <div style={{ color: '#aaa', fontSize: 12, wordBreak: 'break-word' }}>{status.message}</div>
+      )}
+      {fellBack && <div style={{ color: '#aaa', fontSize: 12 }}>Playing with Space / click / gamepad meanwhile.</div>}
+
+      {(problem || trackMsg) && (
+        <div style={{ display: 'flex', gap: 6, marginTop: 8 }}>
+          {devices.length > 0 && (
+            <select
+              value={deviceId}
+              onChange={(e) => onDevice?.(e.target.value)}
+              style={{ flex: 1, minWidth: 0, font: 'inherit', borderRadius: 6 }}
+            >
+              <option value="">Default camera</option>
+              {devices.map((d, i) => (
+                <option key={d.deviceId || i} value={d.deviceId}>{d.label || `Camera ${i + 1}`}</option>
+              ))}
+            </select>
+          )}
+          {problem && (
+            <button onClick={onRetry} style={{ font: 'inherit', fontWeight: 700, borderRadius: 6, border: 'none', padding: '2px 10px', cursor: 'pointer' }}>
+              Retry
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+// Full-screen "can't load the pose model" page (offline / local-only policy)
+function AssetErrorScreen({ status, policy, onRetry, onContinue }) {
+  const btn = {
+    font: '700 14px system-ui, sans-serif',
+    padding: '8px 16px',
+    borderRadius: 8,
+    border: 'none',
+    cursor: 'pointer'
+  }
+  return (
+    <div
+      onPointerDown={(e) => e.stopPropagation()}
+      style={{
+        position: 'fixed',
+        inset: 0,
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        background: 'rgba(18,10,27,0.92)',
+        zIndex: 100000
+      }}
+    >
+      <div style={{ maxWidth: 520, color: '#fff', font: '400 14px/1.5 system-ui, sans-serif', padding: 24 }}>
+        <div style={{ font: '800 20px system-ui, sans-serif', color: '#ff8a8a', marginBottom: 8 }}>
+          Pose model files missing
+        </div>
+        <div>
+          The camera game needs the MediaPipe Pose files from <code>{status.base}</code>
+          {policy?.mode === 'local' && ' (asset policy: local only — no CDN fallback)'}.
+        </div>
+        {status.missing?.length > 0 && (
+          <>
+            <div style={{ marginTop: 12, color: '#ffe98a' }}>Missing</div>
+            <ul style={{ margin: '4px 0', fontFamily: 'monospace' }}>
+              {status.missing.map(n => <li key={n}>{n}</li>)}
+            </ul>
+          </>
+        )}
+        {status.mismatched?.length > 0 && (
+          <>
+            <div style={{ marginTop: 12, color: '#ffe98a' }}>Failed integrity check</div>
+            <ul style={{ margin: '4px 0', fontFamily: 'monospace' }}>
+              {status.mismatched.map(n => <li key={n}>{n}</li>)}
+            </ul>
+          </>
+        )}
+        <div style={{ marginTop: 12, color: '#aaa' }}>
+          Copy the files into <code>public/vendor/mediapipe/</code>, then run <code>npm run vendor:manifest</code> and redeploy.
+        </div>
+        <div style={{ display: 'flex', gap: 10, marginTop: 18 }}>
+          <button style={btn} onClick={onRetry}>Retry</button>
+          <button style={{ ...btn, background: 'transparent', color: '#fff', border: '1px solid #777' }} onClick={onContinue}>
+            Continue without camera
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+/* -------------------- Game session -------------------- */
+// attract → (calibration) → countdown → playing ⇄ paused → results → attract.
+// Events that a phase doesn't list are ignored, so any input can dispatch freely.
+const GAME_TRANSITIONS = {
+  attract:     { start: 'countdown', calibrate: 'calibration' },
+  calibration: { calibrated: 'countdown', cancel: 'attract' },
+  countdown:   { go: 'playing', cancel: 'attract' },
+  playing:     { pause: 'paused', end: 'results' },
+  paused:      { resume: 'playing', quit: 'results' },
+  results:     { restart: 'attract' },
+}
+function gameReducer(s, e) {
+  const to = GAME_TRANSITIONS[s.phase]?.[e.type]
+  return to ? { phase: to, from: s.phase, since: e.t ?? 0 } : s
+}
+
+// OrbitControls per phase (speed null = driven by motion)
+const PHASE_CAMERA = {
+  attract:     { rotate: true, speed: 0.35 },
+  calibration: { rotate: false },
+  countdown:   { rotate: false },
+  playing:     { rotate: true, speed: null },
+  paused:      { rotate: false },
+  results:     { rotate: true, speed: 0.2 },
+}
+const COUNTDOWN_SECS = 3
+const RESULTS_LOCK_MS = 2000      // ignore input right after the song ends
+const RESULTS_IDLE_MS = 30000     // back to attract on its own
+const LOST_PAUSE_MS = 3000        // player out of frame this long → pause
+
+// Centered banner for the phase HUDs
+function PhaseBanner({ title, big = null, sub = null, color = '#ffe98a' }) {
+  return (
+    <div style={{
+      position: 'fixed',
+      top: '38%',
+      left: '50%',
+      transform: 'translate(-50%, -50%)',
+      textAlign: 'center',
+      color: '#fff',
+      background: big != null ? 'transparent' : 'rgba(0,0,0,0.55)',
+      padding: '14px 22px',
+      borderRadius: 14,
+      font: '600 16px/1.4 system-ui, sans-serif',
+      textShadow: '0 2px 8px rgba(0,0,0,0.8)',
+      zIndex: 1000,
+      pointerEvents: 'none'
+    }}>
+      {title && <div style={{ color, font: '800 24px system-ui, sans-serif' }}>{title}</div>}
+      {big != null && <div style={{ color, font: '900 120px/1 system-ui, sans-serif' }}>{big}</div>}
+      {sub && <div style={{ marginTop: 6, color: '#ddd' }}>{sub}</div>}
+    </div>
+  )
+}
+
+/* -------------------- Difficulty profiles -------------------- */
+// One place for the motion → game curves:
+//   dead / sens  – response() curve (moon, bats, ScoreTicker energy)
+//   startMv      – sustained motion that starts a round from attract
+//   rainSens     – motion → rain (a song's rain.sens still wins)
+//   score        – multiplier on ScoreTicker rate / jumpBonus
+//   timing       – beat window scale (wider = easier perfects)
+const DIFFICULTIES = {
+  kids:          { label: 'Kids',          dead: 10, sens: 120, startMv: 20, rainSens: 140, score: 1,   timing: 1.5 },
+  casual:        { label: 'Casual',        dead: 20, sens: 180, startMv: 35, rainSens: 200, score: 1,   timing: 1 },
+  athlete:       { label: 'Athlete',       dead: 35, sens: 260, startMv: 60, rainSens: 280, score: 1.5, timing: 0.7 },
+  accessibility: { label: 'Accessibility', dead: 4,  sens: 80,  startMv: 12, rainSens: 110, score: 1,   timing: 2 },
+}
+const DIFFICULTY_IDS = Object.keys(DIFFICULTIES)
+const DEFAULT_DIFFICULTY = 'casual'
+const DIFFICULTY_KEY = 'rih.difficulty'
+const validDifficulty = (id) => (DIFFICULTIES[id] ? id : null)
+const difficultyFromUrl = () => validDifficulty(new URLSearchParams(window.location.search).get('difficulty'))
+const storedDifficulty = () => {
+  try { return validDifficulty(localStorage.getItem(DIFFICULTY_KEY)) } catch { return null }
+}
+const saveDifficulty = (id) => {
+  try { localStorage.setItem(DIFFICULTY_KEY, id) } catch (e) { console.warn('Difficulty not saved:', e) }
+}
+const loadDifficulty = () => difficultyFromUrl() ?? storedDifficulty() ?? DEFAULT_DIFFICULTY
+
+/**
+ * Attract-screen difficulty chips: click, D to cycle, or clap.
+ */
+function DifficultyPicker({ value, gestures = null, onChange }) {
+  const cycle = React.useCallback(() => {
+    onChange(DIFFICULTY_IDS[(DIFFICULTY_IDS.indexOf(value) + 1) % DIFFICULTY_IDS.length])
+  }, [value, onChange])
+  useGesture(gestures, 'clap', cycle)
+  useEffect(() => {
+    const onKey = (e) => { if (e.code === 'KeyD') cycle() }
+    window.addEventListener('keydown', onKey)
+    return () => window.removeEventListener('keydown', onKey)
+  }, [cycle])
 
-  // these are the *targets* you pass from App (can change each frame)
-  moonSize = 8,             // target size (linked to motion)
-  ringSpinSpeed = 1,      // target spin (linked to motion)
+  return (
+    <div onPointerDown={(e) => e.stopPropagation()} style={{
+      position: 'fixed',
+      top: '52%',
+      left: '50%',
+      transform: 'translateX(-50%)',
+      display: 'flex',
+      gap: 6,
+      alignItems: 'center',
+      background: 'rgba(0,0,0,0.55)',
+      color: '#aaa',
+      padding: '6px 10px',
+      borderRadius: 10,
+      font: '600 12px system-ui, sans-serif',
+      zIndex: 1000
+    }}>
+      {DIFFICULTY_IDS.map(id => (
+        <button key={id} onClick={() => onChange(id)} style={{
+          font: '700 13px system-ui, sans-serif',
+          padding: '4px 10px',
+          borderRadius: 6,
+          border: 'none',
+          cursor: 'pointer',
+          background: id === value ? '#ffe98a' : 'rgba(255,255,255,0.15)',
+          color: id === value ? '#000' : '#fff'
+        }}>{DIFFICULTIES[id].label}</button>
+      ))}
+      <span style={{ marginLeft: 4 }}>D / clap to change</span>
+    </div>
+  )
+}
 
-  ringRadius = 60,
-  ringSpriteSize = [6,6,6,6,6,6],
-  flipXIndices = [0, 1],
+/* -------------------- Leaderboard (IndexedDB) -------------------- */
+// One "scores" store, indexed by board = `${song}|${difficulty}`. Falls back to
+// an in-memory list when IndexedDB is unavailable (private mode, file://).
+// Export format: { version, exportedAt, scores: [{ song, difficulty, initials, score, at }] }
+const LEADERBOARD_DB = 'rih-leaderboard'
+const LEADERBOARD_VERSION = 1
+const LEADERBOARD_SIZE = 10
+const INITIALS_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789 '
+const boardKey = (song, difficulty) => `${song}|${difficulty}`
+const idbRequest = (r) => new Promise((resolve, reject) => {
+  r.onsuccess = () => resolve(r.result)
+  r.onerror = () => reject(r.error)
+})
+const byRank = (a, b) => b.score - a.score || a.at - b.at
+
+function makeLeaderboard({ name = LEADERBOARD_DB, size = LEADERBOARD_SIZE } = {}) {
+  const events = makeEmitter()
+  let dbp = null
+  let memory = []
+
+  const open = () => dbp ??= new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') return reject(new Error('IndexedDB not supported'))
+    const req = indexedDB.open(name, LEADERBOARD_VERSION)
+    req.onupgradeneeded = () => {
+      const store = req.result.createObjectStore('scores', { keyPath: 'id', autoIncrement: true })
+      store.createIndex('board', 'board')
+    }
+    req.onsuccess = () => resolve(req.result)
+    req.onerror = () => reject(req.error)
+  }).catch((err) => {
+    console.warn('[leaderboard] IndexedDB unavailable, scores kept for this page only:', err)
+    return null
+  })
+  const store = async (mode = 'readonly') => (await open())?.transaction('scores', mode).objectStore('scores') ?? null
 
-  // smoothing + anti-wagon-wheel
-  smooth = 0.18,
-  compensateCamera = true,
-  cameraCompFactor = 1,
-}) {
-  const { camera } = useThree()
-  const groupRef = useRef()
-  const ringRef  = useRef()
-  const moonRef  = useRef()
+  const clean = (e) => {
+    const initials = String(e?.initials ?? '').toUpperCase().slice(0, 3)
+    if (typeof e?.song !== 'string' || typeof e?.difficulty !== 'string') return null
+    if (!Number.isFinite(e?.score) || ![...initials].every(c => INITIALS_CHARS.includes(c))) return null
+    return {
+      song: e.song,
+      difficulty: e.difficulty,
+      initials,
+      score: Math.round(e.score),
+      at: Number.isFinite(e.at) ? e.at : Date.now(),
+      board: boardKey(e.song, e.difficulty)
+    }
+  }
+  const strip = (e) => ({ song: e.song, difficulty: e.difficulty, initials: e.initials, score: e.score, at: e.at })
 
-  // --- textures ---
-  const moonMap  = useTexture(moonTexture)
-  const ringMaps = useTexture(ringTextures)
-  useEffect(() => {
-    if (moonMap) {
-      if ('colorSpace' in moonMap) moonMap.colorSpace = THREE.SRGBColorSpace
-      else if ('encoding' in moonMap) moonMap.encoding = THREE.sRGBEncoding
-      moonMap.needsUpdate = true
+  const all = async () => {
+    const st = await store()
+    return st ? idbRequest(st.getAll()) : memory.slice()
+  }
+
+  const board = {
+    on: events.on,
+
+    async top(song, difficulty, n = size) {
+      const st = await store()
+      const key = boardKey(song, difficulty)
+      const list = st ? await idbRequest(st.index('board').getAll(key)) : memory.filter(e => e.board === key)
+      return list.sort(byRank).slice(0, n)
+    },
+
+    // would this score make the top list?
+    async qualifies(song, difficulty, score) {
+      if (!(score > 0)) return false
+      const list = await board.top(song, difficulty)
+      return list.length < size || score > list[list.length - 1].score
+    },
+
+    async add(entry) {
+      const e = clean({ ...entry, at: Date.now() })
+      if (!e) throw Object.assign(new Error('invalid leaderboard entry'), { name: 'LeaderboardError' })
+      const st = await store('readwrite')
+      if (st) e.id = await idbRequest(st.add(e))
+      else memory.push({ ...e, id: memory.length + 1 })
+      events.emit('change')
+      return e
+    },
+
+    async exportJSON() {
+      return { version: LEADERBOARD_VERSION, exportedAt: new Date().toISOString(), scores: (await all()).sort(byRank).map(strip) }
+    },
+
+    // merges; exact duplicates (same song/difficulty/initials/score/at) are skipped
+    async importJSON(data) {
+      const list = Array.isArray(data) ? data : data?.scores
+      if (!Array.isArray(list)) throw Object.assign(new Error('not a leaderboard export'), { name: 'LeaderboardError' })
+      const sig = (e) => [e.board, e.initials, e.score, e.at].join('|')
+      const seen = new Set((await all()).map(sig))
+      const fresh = list.map(clean).filter(e => e && !seen.has(sig(e)) && seen.add(sig(e)))
+      const st = await store('readwrite')
+      for (const e of fresh) {
+        if (st) st.add(e)
+        else memory.push({ ...e, id: memory.length + 1 })
+      }
+      if (st) await new Promise((resolve, reject) => {
+        st.transaction.oncomplete = resolve
+        st.transaction.onerror = () => reject(st.transaction.error)
+      })
+      events.emit('change')
+      return { added: fresh.length, skipped: list.length - fresh.length }
+    },
+
+    async reset() {
+      const st = await store('readwrite')
+      if (st) await idbRequest(st.clear())
+      memory = []
+      events.emit('change')
+    },
+
+    async download(name = `leaderboard-${new Date().toISOString().slice(0, 10)}.json`) {
+      const blob = new Blob([JSON.stringify(await board.exportJSON(), null, 2)], { type: 'application/json' })
+      const a = document.createElement('a')
+      a.href = URL.createObjectURL(blob)
+      a.download = name
+      a.click()
+      setTimeout(() => URL.revokeObjectURL(a.href), 1000)
     }
-    const arr = Array.isArray(ringMaps) ? ringMaps : [ringMaps]
-    arr.forEach((m, i) => {
-      if (!m) return
-      if ('colorSpace' in m) m.colorSpace = THREE.SRGBColorSpace
-      else if ('encoding' in m) m.encoding = THREE.sRGBEncoding
-      if (flipXIndices.includes(i)) {
-        m.wrapS = THREE.RepeatWrapping; m.repeat.x = -1; m.offset.x = 1
-      } else {
-        m.wrapS = THREE.ClampToEdgeWrapping; m.repeat.x = 1; m.offset.x = 0
+  }
+  return board
+}
+
+// top list for one board, refreshed on every change
+function useLeaderboard(board, song, difficulty) {
+  const [list, setList] = useState([])
+  useEffect(() => {
+    let alive = true
+    const load = () => board.top(song, difficulty)
+      .then(l => { if (alive) setList(l) })
+      .catch(err => console.warn('[leaderboard] load failed:', err))
+    load()
+    const off = board.on('change', load)
+    return () => { alive = false; off() }
+  }, [board, song, difficulty])
+  return list
+}
+
+function LeaderboardPanel({ entries, title = 'Top 10', highlight = null }) {
+  return (
+    <div style={{
+      position: 'fixed',
+      top: '50%',
+      right: 16,
+      transform: 'translateY(-50%)',
+      minWidth: 180,
+      background: 'rgba(0,0,0,0.55)',
+      color: '#fff',
+      padding: '10px 14px',
+      borderRadius: 10,
+      fontFamily: 'monospace',
+      zIndex: 1000,
+      pointerEvents: 'none'
+    }}>
+      <div style={{ color: '#ffe98a', fontWeight: 700, marginBottom: 6 }}>{title}</div>
+      {!entries.length && <div style={{ color: '#aaa' }}>no scores yet</div>}
+      {entries.map((e, i) => (
+        <div key={e.id ?? i} style={{ display: 'flex', gap: 10, color: e.id === highlight ? '#ffe98a' : '#fff' }}>
+          <span style={{ width: 22, color: '#aaa' }}>{i + 1}.</span>
+          <span style={{ width: 34 }}>{e.initials.trim().padEnd(3, '·')}</span>
+          <span style={{ marginLeft: 'auto' }}>{e.score}</span>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+/**
+ * Three-letter initials. Keyboard: type letters, Enter/→ next, Backspace/← back
+ * (↑ is a tap-input jump key, so no arrow cycling). Body: lean to cycle, jump
+ * to confirm a letter.
+ * Nobody finishing within `timeout` saves what's there.
+ */
+function InitialsEntry({ gestures = null, jump = null, onDone, timeout = 20000 }) {
+  const [letters, setLetters] = useState(['A', 'A', 'A'])
+  const [slot, setSlot] = useState(0)
+  const doneRef = useRef(null)
+  // `ls` when the last letter was typed this tick (state not updated yet); all blank stays blank
+  useEffect(() => { doneRef.current = (ls = letters) => onDone(ls.join('').trim() || '   ') })
+
+  const cycle = React.useCallback((d) => setLetters(ls => ls.map((c, i) => {
+    if (i !== slot) return c
+    const n = INITIALS_CHARS.length
+    return INITIALS_CHARS[(INITIALS_CHARS.indexOf(c) + d + n) % n]
+  })), [slot])
+  const next = React.useCallback((ls) => {
+    if (slot >= 2) doneRef.current(ls)
+    else setSlot(slot + 1)
+  }, [slot])
+
+  useGesture(gestures, 'leanLeft', () => cycle(-1))
+  useGesture(gestures, 'leanRight', () => cycle(1))
+
+  useEffect(() => {
+    const onKey = (e) => {
+      if (/^Key[A-Z]$|^Digit[0-9]$/.test(e.code)) {
+        const c = e.code.slice(-1)
+        const ls = letters.map((x, i) => (i === slot ? c : x))
+        setLetters(ls)
+        next(ls)
       }
-      m.needsUpdate = true
-    })
-  }, [moonMap, ringMaps, flipXIndices])
+      else if (e.code === 'Enter' || e.code === 'ArrowRight') next()
+      else if (e.code === 'Backspace' || e.code === 'ArrowLeft') setSlot(Math.max(0, slot - 1))
+      else return
+      e.preventDefault()
+    }
+    window.addEventListener('keydown', onKey)
+    return () => window.removeEventListener('keydown', onKey)
+  }, [slot, letters, next])
 
-  // --- ring placement ---
-  const ringAngles = useMemo(() => {
-    const n = Array.isArray(ringMaps) ? ringMaps.length : 0
-    return Array.from({ length: n }, (_, i) => (i / Math.max(1, n)) * Math.PI * 2)
-  }, [ringMaps])
+  const seenJump = useRef(jump?.id ?? 0)
+  useEffect(() => {
+    if (!jump || jump.id === seenJump.current) return
+    seenJump.current = jump.id
+    next()
+  }, [jump, next])
 
-  // --- smoothing state (current values) ---
-  const sizeCurr = useRef(moonSize)          // start from initial target
-  const spinCurr = useRef(ringSpinSpeed)
+  useEffect(() => {
+    const id = setTimeout(() => doneRef.current(), timeout)
+    return () => clearTimeout(id)
+  }, [timeout])
 
-  // update targets whenever props change
-  const sizeTgt = useRef(moonSize)
-  const spinTgt = useRef(ringSpinSpeed)
-  useEffect(() => { sizeTgt.current = moonSize }, [moonSize])
-  useEffect(() => { spinTgt.current = ringSpinSpeed }, [ringSpinSpeed])
+  return (
+    <div onPointerDown={(e) => e.stopPropagation()} style={{
+      position: 'fixed',
+      left: '50%',
+      bottom: 48,
+      transform: 'translateX(-50%)',
+      textAlign: 'center',
+      background: 'rgba(0,0,0,0.6)',
+      color: '#fff',
+      padding: '12px 18px',
+      borderRadius: 12,
+      font: '600 14px/1.4 system-ui, sans-serif',
+      zIndex: 1000
+    }}>
+      <div style={{ color: '#ffe98a', fontSize: 12 }}>New high score! Enter your initials</div>
+      <div style={{ display: 'flex', gap: 10, justifyContent: 'center', margin: '6px 0' }}>
+        {letters.map((c, i) => (
+          <span key={i} onClick={() => setSlot(i)} style={{
+            width: 40,
+            font: '800 36px monospace',
+            borderBottom: `3px solid ${i === slot ? '#ffe98a' : '#555'}`,
+            cursor: 'pointer'
+          }}>{c === ' ' ? '_' : c}</span>
+        ))}
+      </div>
+      <div style={{ color: '#aaa', fontSize: 12 }}>type or lean to change · jump or Enter for next letter</div>
+    </div>
+  )
+}
 
-  // --- incremental rotation + camera compensation ---
-  const ringAngle = useRef(0)
-  const prevYaw   = useRef(null)
-  const TAU = Math.PI * 2
-  const getYawAround = (cx, cz) => {
-    const dx = camera.position.x - cx
-    const dz = camera.position.z - cz
-    return Math.atan2(dx, dz) // (-π, π]
+// ?admin → export / import / reset for event organizers
+function LeaderboardAdmin({ board }) {
+  const fileRef = useRef(null)
+  const [msg, setMsg] = useState('')
+  const btn = {
+    font: '600 12px system-ui, sans-serif',
+    padding: '4px 10px',
+    borderRadius: 6,
+    border: 'none',
+    cursor: 'pointer'
+  }
+  const onFile = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+    try {
+      const { added, skipped } = await board.importJSON(JSON.parse(await file.text()))
+      setMsg(`imported ${added}${skipped ? `, skipped ${skipped}` : ''}`)
+    } catch (err) {
+      console.warn('[leaderboard] import failed:', err)
+      setMsg(`import failed: ${err.message}`)
+    }
   }
+  const onReset = async () => {
+    if (!window.confirm('Delete all leaderboard scores on this device?')) return
+    await board.reset().catch(err => console.warn('[leaderboard] reset failed:', err))
+    setMsg('leaderboard cleared')
+  }
+  return (
+    <div onPointerDown={(e) => e.stopPropagation()} style={{
+      position: 'fixed',
+      top: 12,
+      left: '50%',
+      transform: 'translateX(-50%)',
+      display: 'flex',
+      gap: 8,
+      alignItems: 'center',
+      background: 'rgba(0,0,0,0.55)',
+      color: '#fff',
+      padding: '6px 10px',
+      borderRadius: 8,
+      fontFamily: 'monospace',
+      zIndex: 1001
+    }}>
+      <span style={{ color: '#ffe98a' }}>leaderboard</span>
+      <button style={btn} onClick={() => board.download()}>Export</button>
+      <button style={btn} onClick={() => fileRef.current?.click()}>Import</button>
+      <button style={{ ...btn, background: '#c33', color: '#fff' }} onClick={onReset}>Reset</button>
+      <input ref={fileRef} type="file" accept="application/json,.json" onChange={onFile} style={{ display: 'none' }} />
+      {msg && <span style={{ color: '#aaa' }}>{msg}</span>}
+    </div>
+  )
+}
 
-  useFrame(({ clock }, dtRaw) => {
-    const t  = clock.getElapsedTime()
-    const dt = Math.min(dtRaw, 0.05)
+/* -------------------- Song library -------------------- */
+// public/songs.json: { songs: [{ id, title, audio, spectrum, meta, duration (s),
+// settings }] }. Paths are relative to BASE; absolute http(s)
+// audio URLs must be served with CORS (the song plays through Web Audio). `settings` overrides
+// per track:
+//   rain      – Rain props + minCount / maxCount / sens (motion → rain mapping)
+//   lightning – LightningClassic props (minDelay, maxDelay, flashPower, …)
+//   score     – ScoreTicker dropPoints (per caught drop) / rate (motion trickle) / jumpBonus
+// Beats (optional): `beats` [s…] or `bpm` + `beatOffset` (s of the first
+// beat); otherwise they are detected from the spectrum (see detectBeats).
+const SONGS_URL = `${BASE}songs.json`
+const DEFAULT_SONGS = [{
+  id: 'funny-halloween',
+  title: 'Funny Halloween',
+  audio: 'FunnyHalloween.mp3',
+  spectrum: 'FunnyHalloween.json',
+  meta: 'FunnyHalloween_meta.json',
+  duration: 148,
+  bpm: 142,
+  beatOffset: 0.11,
+  settings: {}
+}]
+const songAsset = (path) => (!path ? null : /^https?:/.test(path) ? path : `${BASE}${path.replace(/^\//, '')}`)
+const fmtDuration = (s) => (s ? `${Math.floor(s / 60)}:${String(Math.round(s % 60)).padStart(2, '0')}` : '')
+
+// ?song=<id> skips the picker
+const songFromUrl = () => new URLSearchParams(window.location.search).get('song')
 
-    // move moon around world
-    const x = Math.cos(t * moonOrbitSpeed) * moonOrbitRadius
-    const z = Math.sin(t * moonOrbitSpeed) * moonOrbitRadius
-    groupRef.current?.position.set(x, moonHeight, z)
+/**
+ * Attract-screen song picker. ←/→ or leaning browses, Enter/Space or a jump
+ * picks. Jumps from before the picker opened are ignored.
+ */
+function SongPicker({ songs, gestures = null, jump = null, onPick }) {
+  const [index, setIndex] = useState(0)
+  const move = React.useCallback((d) => setIndex(i => (i + d + songs.length) % songs.length), [songs.length])
+  const pickRef = useRef(null)
+  useEffect(() => { pickRef.current = () => onPick(songs[index]) })
 
-    // smooth current → target
-    const k = 1 - Math.pow(1 - smooth, dt * 60)
-    sizeCurr.current = THREE.MathUtils.lerp(sizeCurr.current, sizeTgt.current, k)
-    spinCurr.current = THREE.MathUtils.lerp(spinCurr.current, spinTgt.current, k)
+  useGesture(gestures, 'leanLeft', () => move(-1))
+  useGesture(gestures, 'leanRight', () => move(1))
 
-    // apply smoothed size + gentle roll
-    if (moonRef.current) {
-      const s = sizeCurr.current
-      moonRef.current.scale.set(s, s, 1)
-      moonRef.current.rotation.z = t * 0.05
+  useEffect(() => {
+    const onKey = (e) => {
+      if (e.code === 'ArrowLeft') move(-1)
+      else if (e.code === 'ArrowRight') move(1)
+      else if (e.code === 'Enter' || e.code === 'Space') pickRef.current()
     }
+    window.addEventListener('keydown', onKey)
+    return () => window.removeEventListener('keydown', onKey)
+  }, [move])
 
-    // compensate camera yaw around the moon’s center
-    let dYaw = 0
-    if (compensateCamera && groupRef.current) {
-      const yaw = getYawAround(groupRef.current.position.x, groupRef.current.position.z)
-      if (prevYaw.current == null) prevYaw.current = yaw
-      dYaw = yaw - prevYaw.current
-      if (dYaw > Math.PI) dYaw -= TAU
-      if (dYaw < -Math.PI) dYaw += TAU
-      prevYaw.current = yaw
+  const seenJump = useRef(jump?.id ?? 0)
+  useEffect(() => {
+    if (!jump || jump.id === seenJump.current) return
+    seenJump.current = jump.id
+    pickRef.current()
+  }, [jump])
+
+  // (pointer-down stays here so a "pointer" input doesn't read the click as a jump)
+  return (
+    <div onPointerDown={(e) => e.stopPropagation()} style={{
+      position: 'fixed',
+      left: '50%',
+      bottom: 48,
+      transform: 'translateX(-50%)',
+      display: 'flex',
+      alignItems: 'center',
+      gap: 14,
+      background: 'rgba(0,0,0,0.6)',
+      color: '#fff',
+      padding: '12px 16px',
+      borderRadius: 12,
+      font: '600 14px/1.4 system-ui, sans-serif',
+      zIndex: 1000
+    }}>
+      <button onClick={() => move(-1)} style={{ background: 'none', border: 'none', color: '#ffe98a', fontSize: 22, cursor: 'pointer' }}>‹</button>
+      <div onClick={() => pickRef.current()} style={{ minWidth: 220, textAlign: 'center', cursor: 'pointer' }}>
+        <div style={{ color: '#ffe98a', fontSize: 12 }}>Pick a song · {index + 1}/{songs.length}</div>
+        <div style={{ font: '800 20px system-ui, sans-serif' }}>{songs[index].title}</div>
+        <div style={{ color: '#aaa', fontSize: 12 }}>
+          {fmtDuration(songs[index].duration)}
+        </div>
+        <div style={{ color: '#aaa', fontSize: 12, marginTop: 4 }}>lean or ←/→ to browse · jump or Enter to play</div>
+      </div>
+      <button onClick={() => move(1)} style={{ background: 'none', border: 'none', color: '#ffe98a', fontSize: 22, cursor: 'pointer' }}>›</button>
+    </div>
+  )
+}
+
+/* -------------------- Beats + timing grades -------------------- */
+/**
+ * Tempo + beat grid from a precomputed spectrum ([{ t, bands }]): onset
+ * strength = positive flux of the low bands, tempo = best autocorrelation lag
+ * in [minBpm, maxBpm], then period + phase = the grid collecting most onset.
+ * Assumes a steady tempo. Returns { bpm, offset, beats: [s…] } or null.
+ */
+function detectBeats(frames, { minBpm = 70, maxBpm = 180, lowBands = 4 } = {}) {
+  if (!Array.isArray(frames) || frames.length < 64) return null
+  const n = frames.length
+  const dt = (frames[n - 1].t - frames[0].t) / (n - 1)
+  if (!(dt > 0)) return null
+
+  const onset = new Float32Array(n)
+  for (let i = 1; i < n; i++) {
+    const a = frames[i - 1].bands, b = frames[i].bands
+    let f = 0
+    for (let k = 0; k < Math.min(lowBands, b.length); k++) f += Math.max(0, (b[k] ?? 0) - (a[k] ?? 0))
+    onset[i] = f
+  }
+
+  const lagMin = Math.max(1, Math.floor(60 / maxBpm / dt))
+  const lagMax = Math.ceil(60 / minBpm / dt)
+  let lag = 0, best = 0
+  for (let L = lagMin; L <= lagMax; L++) {
+    let c = 0
+    for (let i = L; i < n; i++) c += onset[i] * onset[i - L]
+    c /= (n - L)
+    if (c > best) { best = c; lag = L }
+  }
+  if (!lag) return null
+
+  // the lag is whole frames; refine period + phase together so the grid
+  // doesn't drift over a few minutes of song
+  let period = lag, phase = 0, gridBest = -1
+  for (let P = lag - 1; P <= lag + 1; P += 0.05) {
+    for (let p = 0; p < P; p++) {
+      let c = 0
+      for (let x = p; x < n; x += P) c += onset[Math.round(x)] ?? 0
+      if (c > gridBest) { gridBest = c; period = P; phase = p }
     }
+  }
 
-    // incremental rotation (prevents perceived “backwards”)
-    const MAX_STEP = 0.35
-    const ownStep  = THREE.MathUtils.clamp(spinCurr.current * dt, -MAX_STEP, MAX_STEP)
-    const camStep  = dYaw * cameraCompFactor
+  const offset = frames[0].t + phase * dt
+  return { bpm: 60 / (period * dt), offset, beats: beatGrid(offset, period * dt, frames[n - 1].t) }
+}
 
-    ringAngle.current = (ringAngle.current - ownStep - camStep) % TAU
-    if (ringRef.current) ringRef.current.rotation.y = ringAngle.current
-  })
+const beatGrid = (offset, period, end) =>
+  Array.from({ length: Math.max(0, Math.floor((end - offset) / period) + 1) }, (_, k) => offset + k * period)
 
-  return (
-    <group ref={groupRef}>
-      <sprite ref={moonRef} scale={[moonSize, moonSize, 1]}>
-        <spriteMaterial map={moonMap} transparent depthWrite={false} toneMapped={false} />
-      </sprite>
+// manifest beats > manifest bpm > detected from the spectrum
+function beatsForSong(song, spectrum) {
+  if (Array.isArray(song?.beats) && song.beats.length > 1) {
+    const b = song.beats
+    return { bpm: 60 * (b.length - 1) / (b[b.length - 1] - b[0]), offset: b[0], beats: b }
+  }
+  if (song?.bpm > 0) {
+    const offset = song.beatOffset ?? 0
+    const end = song.duration ?? spectrum?.[spectrum.length - 1]?.t ?? 600
+    return { bpm: song.bpm, offset, beats: beatGrid(offset, 60 / song.bpm, end) }
+  }
+  return detectBeats(spectrum)
+}
 
-      <group ref={ringRef}>
-        {Array.isArray(ringMaps) && ringMaps.map((tex, i) => {
-          const a = ringAngles[i]
-          const px = Math.cos(a) * ringRadius
-          const pz = Math.sin(a) * ringRadius
-          const s  = ringSpriteSize[i] ?? ringSpriteSize[0] ?? 1.6
-          return (
-            <sprite key={i} position={[px, 0, pz]} scale={[s, s, 1]}>
-              <spriteMaterial map={tex} transparent depthWrite={false} toneMapped={false} />
-            </sprite>
-          )
-        })}
-      </group>
-    </group>
-  )
+// timing windows (s from the nearest beat) and their score multipliers
+const TIMING_GRADES = [
+  { grade: 'perfect', window: 0.07, mult: 2, color: '#7dff9a' },
+  { grade: 'good', window: 0.15, mult: 1.25, color: '#ffe98a' },
+  { grade: 'miss', window: Infinity, mult: 0.5, color: '#ff8a8a' },
+]
+
+function gradeTiming(t, beats, scale = 1) {
+  let lo = 0, hi = beats.length - 1
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1
+    if (beats[mid] < t) lo = mid
+    else hi = mid
+  }
+  const off = Math.abs(beats[lo] - t) < Math.abs(beats[hi] - t) ? t - beats[lo] : t - beats[hi]
+  const g = TIMING_GRADES.find(g => Math.abs(off) <= g.window * scale)
+  return { grade: g.grade, mult: g.mult, offset: off }
 }
 
-function ScoreTicker({ gameActive, motionValue, scoreRef, setScore }) {
-  useFrame((_, dtRaw) => {
-    if (!gameActive) return
-    const dt = Math.min(dtRaw, 0.05)
-    const energy = 1 - Math.exp(-Math.max(0, motionValue - 20) / 180) // 0..1
-    scoreRef.current += energy * 60 * dt
-    setScore(Math.floor(scoreRef.current))
-  })
+/* -------------------- Render pacing -------------------- */
+// fps = 0 → render at display rate; otherwise switch to on-demand frames and
+// invalidate at the requested rate (pose inference is paced separately).
+function RenderPacer({ fps = 0 }) {
+  const { invalidate, setFrameloop } = useThree()
+  useEffect(() => {
+    if (!fps) { setFrameloop('always'); return }
+    setFrameloop('demand')
+    const iv = setInterval(() => invalidate(), 1000 / fps)
+    return () => { clearInterval(iv); setFrameloop('always') }
+  }, [fps, invalidate, setFrameloop])
   return null
 }
 
+// ?assets=local|local-cdn|custom[&assetBase=https://mirror/pose/]
+const assetPolicyFromUrl = () => {
+  const q = new URLSearchParams(window.location.search)
+  const mode = q.get('assets')
+  return ASSET_POLICIES.includes(mode) ? { mode, baseUrl: q.get('assetBase') || '' } : null
+}
+
+// ?preview → skeleton view; ?preview=video also shows the raw webcam (explicit opt-in)
+const previewFromUrl = () => {
+  const q = new URLSearchParams(window.location.search)
+  if (!q.has('preview')) return {}
+  return { skeleton: true, video: q.get('preview') === 'video' }
+}
+
+// ?inferFps=15&renderFps=30&poseWorker=0
+const perfFromUrl = () => {
+  const q = new URLSearchParams(window.location.search)
+  const out = {}
+  if (Number(q.get('inferFps')) > 0) out.inferenceFps = Number(q.get('inferFps'))
+  if (q.has('renderFps')) out.renderFps = Number(q.get('renderFps')) || 0
+  if (q.has('poseWorker')) out.poseWorker = q.get('poseWorker') !== '0'
+  return out
+}
 
 /* -------------------- Main App -------------------- */
 export default function App() {
@@ -1397,110 +4668,230 @@ export default function App() {
 // === Audio + spectrum (autoplay) ===
 	const [spec, setSpec] = useState(null)
 	const audioRef = useRef(null)
+	const audio = useMemo(() => makeAudioEngine({ resumeOnShow: false }), [])   // the game resumes itself
+	const audioState = useAudioState(audio)
+	useEffect(() => audio.attach(audioRef.current), [audio])
 	// scoring + game state (MUST be before the audio effect below)
-	const [score, setScore] = useState(0)
-	const scoreRef = useRef(0)
-	const [gameActive, setGameActive] = useState(false)
+	const scoreSim = useMemo(() => makeScoreSim(), [])
+	const score = useScore(scoreSim)   // throttled; scoreSim.score() is always current
+
+	// Game session phase (see GAME_TRANSITIONS); only "playing" scores
+	const [game, dispatchGame] = React.useReducer(gameReducer, { phase: 'attract', from: null, since: 0 })
+	const send = React.useCallback((type) => dispatchGame({ type, t: performance.now() }), [])
+	const gameActive = game.phase === 'playing'
+	const combo = useMemo(() => makeCombo(), [])
+	const comboLevelNow = useComboLevel(combo)   // feeds the scene (lightning, bats)
+	const [countdown, setCountdown] = useState(COUNTDOWN_SECS)
 
-	// (optional) if you want autorotate to stop when game ends:
-	const stopRotateOnEnd = true
-	const [autoRotate, setAutoRotate] = useState(true)
+	const [autoRotate, setAutoRotate] = useState(true)   // settings "orbit" master switch
 
 
+	// Song library: the attract screen plays the first track (muted) until one is picked
+	const [songs, setSongs] = useState(null)
+	const [song, setSong] = useState(null)
 	useEffect(() => {
-	  fetch(`${BASE}FunnyHalloween.json`, { cache: 'force-cache' })
-		.then(r => r.json())
-		.then(setSpec)
-		.catch(e => console.warn('Spectrum load failed:', e))
+	  fetch(SONGS_URL, { cache: 'no-store' })
+		.then(r => { if (!r.ok) throw new Error(`HTTP ${r.status}`); return r.json() })
+		.then(d => {
+		  if (!Array.isArray(d?.songs) || !d.songs.length) throw new Error('no songs')
+		  return d.songs
+		})
+		.catch(e => { console.warn('Song manifest not loaded, using built-in list:', e); return DEFAULT_SONGS })
+		.then(list => {
+		  setSongs(list)
+		  const byUrl = list.find(x => x.id === songFromUrl())
+		  if (byUrl || list.length === 1) setSong(byUrl ?? list[0])
+		})
+	}, [])
+	const activeSong = song ?? songs?.[0] ?? DEFAULT_SONGS[0]
+	const songCfg = activeSong.settings ?? {}
+
+	// Difficulty profile (chosen in attract; URL > last choice > settings > casual)
+	const [difficulty, setDifficulty] = useState(loadDifficulty)
+	const profile = DIFFICULTIES[difficulty]
+	const profileRef = useRef(profile)
+	profileRef.current = profile
+	const onDifficulty = React.useCallback((id) => {
+	  saveDifficulty(id)
+	  setDifficulty(id)
 	}, [])
 
-	// Try to autoplay; if blocked, start on first pointer/touch
+	// Local leaderboard per song + difficulty; a qualifying score asks for initials on results
+	const leaderboard = useMemo(() => makeLeaderboard(), [])
+	const topScores = useLeaderboard(leaderboard, activeSong.id, difficulty)
+	const [entry, setEntry] = useState(null)          // { song, difficulty, score } awaiting initials
+	const [savedId, setSavedId] = useState(null)      // highlight of the score just entered
 	useEffect(() => {
-	  const a = audioRef.current
-	  if (!a) return
-
-	  // try immediate autoplay (works if muted)
-	  a.play().catch(() => {})
-
-	  // iOS/Safari need an AudioContext resume to allow sound
-	  const AC = window.AudioContext || window.webkitAudioContext
-	  const ctx = AC ? new AC() : null
-
-	  const fadeIn = () => {
-		// unmute + ramp volume up smoothly
-		a.muted = false
-		a.volume = Math.min(a.volume ?? 0, 0) // start at 0
-		const step = () => {
-		  a.volume = Math.min(1, a.volume + 0.08)
-		  if (a.volume < 1) raf = requestAnimationFrame(step)
-		}
-		step()
-	  }
-
-	  let raf = 0
-	  const unlock = () => {
-		if (ctx && ctx.state === 'suspended') ctx.resume().catch(() => {})
-		// ensure the element is playing
-		a.play().catch(() => {})
-		fadeIn()
-		// remove listeners after first unlock
-		window.removeEventListener('pointerdown', unlock)
-		window.removeEventListener('touchstart', unlock)
-		window.removeEventListener('keydown', unlock)
-		document.removeEventListener('visibilitychange', onVis)
+	  if (game.phase !== 'results') { setEntry(null); return }
+	  const final = { song: activeSong.id, difficulty, score: scoreSim.score() }
+	  let alive = true
+	  setSavedId(null)
+	  leaderboard.qualifies(final.song, final.difficulty, final.score)
+	    .then(ok => { if (alive && ok) setEntry(final) })
+	    .catch(err => console.warn('[leaderboard] check failed:', err))
+	  return () => { alive = false }
+	}, [game.phase, leaderboard, scoreSim, activeSong.id, difficulty])
+	const onInitials = React.useCallback((initials) => {
+	  if (!entry) return
+	  setEntry(null)
+	  leaderboard.add({ ...entry, initials })
+	    .then(e => setSavedId(e.id))
+	    .catch(err => console.warn('[leaderboard] save failed:', err))
+	}, [entry, leaderboard])
+
+	// meta: band count + per-band averages (also used to normalize the live fallback)
+	const [specMeta, setSpecMeta] = useState(null)
+	const [specLive, setSpecLive] = useState(false)
+	useEffect(() => {
+	  setSpec(null); setSpecMeta(null); setSpecLive(false)
+	  let cancelled = false
+	  const metaUrl = songAsset(activeSong.meta)
+	  if (metaUrl) {
+		fetch(metaUrl, { cache: 'force-cache' })
+		  .then(r => (r.ok ? r.json() : null))
+		  .then(m => { if (m && !cancelled) setSpecMeta(m) })
+		  .catch(e => console.warn('Spectrum meta load failed:', e))
 	  }
+	  const specUrl = songAsset(activeSong.spectrum)
+	  ;(specUrl ? fetch(specUrl, { cache: 'force-cache' }) : Promise.reject(new Error('no spectrum listed')))
+		.then(r => { if (!r.ok) throw new Error(`HTTP ${r.status}`); return r.json() })
+		.then(d => { if (!cancelled) setSpec(d) })
+		.catch(e => {
+		  console.warn('Spectrum load failed, analysing live:', e)
+		  if (!cancelled) setSpecLive(true)
+		})
+	  return () => { cancelled = true }
+	}, [activeSong.meta, activeSong.spectrum])
+	const liveSpec = useLiveSpectrum(audio, {
+	  enabled: specLive,
+	  numBands: specMeta?.num_bands ?? 16,
+	  averages: specMeta?.averages ?? null,
+	})
+
+	// Bus volumes: saved choice > settings "audio" section > defaults
+	const [volume, setVolume] = useState(loadVolume)
+	const onVolume = React.useCallback((v) => {
+	  setVolume(v)
+	  saveVolume(v)
+	}, [])
+	useEffect(() => { setBusVolumes(volume) }, [volume])
 
-	  const onVis = () => {
-		// sometimes coming back to a visible tab counts as activation
-		if (document.visibilityState === 'visible') unlock()
-	  }
+	// Thunder for LightningClassic strikes (shares the unlocked AudioContext)
+	const thunder = useMemo(() => makeThunder(), [])
 
-	  window.addEventListener('pointerdown', unlock, { once: true })
-	  window.addEventListener('touchstart', unlock, { once: true, passive: true })
-	  window.addEventListener('keydown', unlock, { once: true })
-	  document.addEventListener('visibilitychange', onVis)
+	// Beat grid for timing grades (none while only a live spectrum is available)
+	const beats = useMemo(() => beatsForSong(activeSong, spec), [activeSong, spec])
+	const beatsRef = useRef(beats)
+	useEffect(() => { beatsRef.current = beats }, [beats])
 
-	  return () => {
-		cancelAnimationFrame(raf)
-		window.removeEventListener('pointerdown', unlock)
-		window.removeEventListener('touchstart', unlock)
-		window.removeEventListener('keydown', unlock)
-		document.removeEventListener('visibilitychange', onVis)
-		// optional: ctx?.close()
-	  }
+  const [motionValue, setMotionValue] = useState(0)
+  const [lastJump, setLastJump] = useState(null)   // latest discrete jump event
+	const timingShown = useFlash(lastJump?.timing ? lastJump : null, 1200, lastJump?.landing)   // HUD grade callout
+
+	// song time an input event was captured at (inputs stamp performance.now() ms)
+	const songTimeOf = React.useCallback((ms) => (audio.time() ?? 0) - (performance.now() - ms) / 1000, [audio])
+
+	// Grade each landing against the beat grid (song time at the landing moment)
+	const onJump = React.useCallback((j) => {
+	  const grid = beatsRef.current?.beats
+	  if (!audio.getState().playing || !grid?.length) { setLastJump(j); return }
+	  setLastJump({ ...j, timing: gradeTiming(songTimeOf(j.landing), grid, profileRef.current.timing) })
+	}, [audio, songTimeOf])
+
+	// motion drives the scene and, in a round, the score sim (at its capture time)
+	const gameActiveRef = useRef(gameActive)
+	gameActiveRef.current = gameActive
+	const onMotion = React.useCallback((v, t) => {
+	  setMotionValue(v)
+	  if (gameActiveRef.current) scoreSim.motion(v, songTimeOf(t ?? performance.now()))
+	}, [scoreSim, songTimeOf])
+
+	// Input provider: ?input=… beats settings file beats camera
+	const [input, setInput] = useState(() => ({
+	  provider: inputFromUrl() ?? 'camera',
+	  fallback: 'tap',
+	  replayUrl: replayUrlFromUrl(),
+	  fellBack: false
+	}))
+	const onInputFallback = React.useCallback((err) => {
+	  setInput(s => ((s.provider === 'camera' || s.provider === 'replay') && s.fallback !== s.provider)
+		? { ...s, provider: s.fallback, fellBack: true, error: err?.name || 'Error' }
+		: s)
+	}, [])
+	const usesCamera = input.provider === 'camera'
+
+	// Camera status + picker (overlay)
+	const [camStatus, setCamStatus] = useState({ phase: 'idle' })
+	const onCamStatus = React.useCallback((patch) => setCamStatus(s => ({ ...s, ...patch })), [])
+	const [tracking, setTracking] = useState('none')
+	const [camDevice, setCamDevice] = useState(loadCameraDevice)
+	const [camRetry, setCamRetry] = useState(0)
+	const onCamDevice = React.useCallback((id) => {
+	  setCamDevice(id)
+	  saveCameraDevice(id)
+	  setInput(s => (s.fellBack ? { ...s, provider: 'camera', fellBack: false } : s))
+	}, [])
+	const retryCamera = React.useCallback(() => {
+	  setCamStatus(s => ({ ...s, phase: 'idle', message: null }))
+	  setInput(s => (s.fellBack ? { ...s, provider: 'camera', fellBack: false } : s))
+	  setCamRetry(k => k + 1)
 	}, [])
-	
-	// start score on music start; freeze on end
-	useEffect(() => {
-	  const a = audioRef.current
-	  if (!a) return
-
-	  const onPlay = () => {
-		// reset + start
-		scoreRef.current = 0
-		setScore(0)
-		setGameActive(true)
-		if (stopRotateOnEnd) setAutoRotate(true)
-	  }
-
-	  const onEnded = () => {
-		// freeze score, stop reacting to motion
-		setGameActive(false)
-		if (stopRotateOnEnd) setAutoRotate(false)
-	  }
 
-	  a.addEventListener('play', onPlay)
-	  a.addEventListener('ended', onEnded)
-	  return () => {
-		a.removeEventListener('play', onPlay)
-		a.removeEventListener('ended', onEnded)
+	// Inference vs render rate (settings "perf" section, URL wins)
+	const [perf, setPerf] = useState(() => ({ inferenceFps: 30, renderFps: 0, poseWorker: true, ...perfFromUrl() }))
+	// Motion signal filter stages (settings "filters" section)
+	const [filters, setFilters] = useState(DEFAULT_FILTERS)
+	const usesPose = usesCamera || input.provider === 'replay'   // landmark-driven → needs calibration
+
+	// MediaPipe asset source. The camera waits for the settings file so a
+	// local-only policy is in place before anything loads.
+	const [settingsReady, setSettingsReady] = useState(false)
+	const [assetPolicy, setAssetPolicy] = useState(() => assetPolicyFromUrl() ?? { mode: 'local-cdn', baseUrl: '' })
+
+	// Debug preview: skeleton + sparkline; raw video only when explicitly enabled
+	const [preview, setPreview] = useState(() => ({ skeleton: false, video: false, ...previewFromUrl() }))
+	const previewFeed = useMemo(() => makePreviewFeed(), [])
+	const handTracker = useMemo(() => makeHandTracker(), [])   // wrists for the Pu catching mini-game
+
+	// ?record → raw landmark recorder (camera only) for tuning sessions / fixtures
+	const showRecorder = useMemo(() => new URLSearchParams(window.location.search).has('record'), [])
+	const showAdmin = useMemo(() => new URLSearchParams(window.location.search).has('admin'), [])
+	const poseRecorder = useMemo(() => makePoseRecorder(), [])
+
+	// Player calibration (per session); the song won't start until we have one
+	const [calibration, setCalibration] = useState(loadCalibration)
+	const [calibState, setCalibState] = useState({ progress: 0, hint: 'none' })
+	// a replay's calibration is the recording's, not the player's: don't store it
+	const fromReplay = input.provider === 'replay'
+	const onCalibration = React.useCallback((cal) => {
+	  if (!fromReplay) saveCalibration(cal)
+	  setCalibration(cal)
+	}, [fromReplay])
+
+	// "C" = recalibrate (e.g. a new player steps in) — attract only, so it
+	// can't hit a round in progress or a "C" typed into the initials
+	const phaseRef = useRef(game.phase)
+	phaseRef.current = game.phase
+	useEffect(() => {
+	  const onKey = (e) => {
+		if (e.code !== 'KeyC' || phaseRef.current !== 'attract') return
+		saveCalibration(null)
+		setCalibration(null)
+		setCalibState({ progress: 0, hint: 'none' })
 	  }
-	}, [stopRotateOnEnd])
+	  window.addEventListener('keydown', onKey)
+	  return () => window.removeEventListener('keydown', onKey)
+	}, [])
 
+	// Named pose gestures → scene components subscribe via useGesture
+	const gestureBus = useMemo(() => makeEmitter(), [])
+	const onGesture = React.useCallback((name, e) => gestureBus.emit(name, e), [gestureBus])
 
+	// Leaning steers the orbit direction (sticky until the other lean)
+	const [steer, setSteer] = useState(1)
+	useGesture(gestureBus, 'leanLeft', () => setSteer(-1))
+	useGesture(gestureBus, 'leanRight', () => setSteer(1))
 
-  const [motionValue, setMotionValue] = useState(0)
-  
 	// Map motionValue (unbounded) to a sane autoRotateSpeed
 	const autoRotateSpeedFromMotion = React.useMemo(() => {
 	  // 1) keep only positive values
@@ -1586,55 +4977,145 @@ export default function App() {
         if (parsed.orbit && typeof parsed.orbit.autoRotate === 'boolean') {
           setAutoRotate(parsed.orbit.autoRotate)
         }
+        if (parsed.preview) {
+          setPreview(s => ({ ...s, skeleton: !!parsed.preview.skeleton, video: parsed.preview.video === true, ...previewFromUrl() }))
+        }
+        if (parsed.mediapipe && !assetPolicyFromUrl()) {
+          const { assets, baseUrl } = parsed.mediapipe
+          if (ASSET_POLICIES.includes(assets)) setAssetPolicy({ mode: assets, baseUrl: baseUrl || '' })
+        }
+        if (parsed.perf) setPerf(s => ({ ...s, ...parsed.perf, ...perfFromUrl() }))
+        if (parsed.filters) setFilters(s => ({ ...s, ...parsed.filters }))
+        if (validDifficulty(parsed.difficulty) && !difficultyFromUrl() && !storedDifficulty()) setDifficulty(parsed.difficulty)
+        if (parsed.audio && !hasStoredVolume()) setVolume(s => ({ ...s, ...parsed.audio }))
+        if (parsed.input && !inputFromUrl()) {
+          const { provider, fallback, replayUrl } = parsed.input
+          setInput(s => ({
+            ...s,
+            replayUrl: replayUrl ? `${BASE}${replayUrl.replace(/^\//, '')}` : s.replayUrl,
+            provider: INPUT_PROVIDERS.includes(provider) && !s.fellBack ? provider : s.provider,
+            fallback: INPUT_PROVIDERS.includes(fallback) ? fallback : s.fallback,
+          }))
+        }
       } catch (err) {
         console.warn('Failed to load purple-mountains-settings.txt:', err)
+      } finally {
+        setSettingsReady(true)
       }
     })()
   }, [portraitImages])
 
-	// Start music & ensure camera rotates when movement is sustained
-	const audioStartedRef = useRef(false)
+	// Attract → start: sustained movement, a jump, or Enter/Space (once a song is picked).
+	// Landmark inputs without a calibration go through the calibration phase first.
 	const mvSinceRef = useRef(0)
-	
-
-
-	const startMusicAndRotate = React.useCallback(() => {
-	  if (audioStartedRef.current) return
-	  const a = audioRef.current
-	  if (!a) return
-
-	  // make sure it's playing (it should be, muted)
-	  a.play().catch(() => {})
-
-	  // unmute + smooth fade-in
-	  a.muted = false
-	  a.volume = 0
-	  let v = 0
-	  const fade = () => {
-		v = Math.min(1, v + 0.06)
-		a.volume = v
-		if (v < 1) requestAnimationFrame(fade)
-	  }
-	  requestAnimationFrame(fade)
-
-	  // ensure autorotate is enabled
-	  setAutoRotate(true)
-	  audioStartedRef.current = true
-	}, [])
+	const startRound = React.useCallback(() => {
+	  send(usesPose && !calibration ? 'calibrate' : 'start')
+	}, [send, usesPose, calibration])
 
 	useEffect(() => {
 	  // hysteresis so tiny wiggles don't trigger
-	  const START_MV = 35         // tweak to taste
+	  const START_MV = profile.startMv
 	  const HOLD_MS  = 250        // must stay above threshold this long
 
+	  if (game.phase !== 'attract' || !song) { mvSinceRef.current = 0; return }
+
 	  const now = performance.now()
 	  if (motionValue > START_MV) {
 		if (!mvSinceRef.current) mvSinceRef.current = now
-		if (now - mvSinceRef.current > HOLD_MS) startMusicAndRotate()
+		if (now - mvSinceRef.current > HOLD_MS) startRound()
 	  } else {
 		mvSinceRef.current = 0
 	  }
-	}, [motionValue, startMusicAndRotate])
+	}, [motionValue, song, game.phase, profile.startMv, startRound])
+
+	// jumps drive every phase: start, resume, play again
+	const seenJumpRef = useRef(0)
+	useEffect(() => {
+	  if (!lastJump || lastJump.id === seenJumpRef.current) return
+	  seenJumpRef.current = lastJump.id
+	  if (game.phase === 'attract' && song) startRound()
+	  else if (game.phase === 'paused') send('resume')
+	  else if (game.phase === 'results' && !entry && performance.now() - game.since > RESULTS_LOCK_MS) send('restart')
+	}, [lastJump, game.phase, game.since, song, entry, startRound, send])
+
+	// keys: Enter/Space start + play again, P/Escape pause/resume
+	useEffect(() => {
+	  const onKey = (e) => {
+		const go = e.code === 'Enter' || e.code === 'Space'
+		if (e.code === 'KeyP' || e.code === 'Escape') {
+		  send(game.phase === 'paused' ? 'resume' : 'pause')
+		  if (game.phase === 'countdown' || game.phase === 'calibration') send('cancel')
+		} else if (go && game.phase === 'attract' && song) startRound()
+		else if (go && game.phase === 'results' && !entry && performance.now() - game.since > RESULTS_LOCK_MS) send('restart')
+	  }
+	  window.addEventListener('keydown', onKey)
+	  return () => window.removeEventListener('keydown', onKey)
+	}, [game.phase, game.since, song, entry, startRound, send])
+
+	// calibration phase ends once a calibration exists
+	useEffect(() => {
+	  if (game.phase === 'calibration' && (calibration || !usesPose)) send('calibrated')
+	}, [game.phase, calibration, usesPose, send])
+
+	// countdown: stop the attract music, tick 3-2-1, then go
+	useEffect(() => {
+	  if (game.phase !== 'countdown') return
+	  audio.stop()
+	  setCountdown(COUNTDOWN_SECS)
+	  let n = COUNTDOWN_SECS
+	  const iv = setInterval(() => {
+		n -= 1
+		if (n > 0) setCountdown(n)
+		else { clearInterval(iv); send('go') }
+	  }, 1000)
+	  return () => clearInterval(iv)
+	}, [game.phase, audio, send])
+
+	// playing: a fresh round from the countdown, or resume after a pause
+	useEffect(() => {
+	  if (game.phase === 'playing') {
+		if (game.from === 'countdown') {
+		  scoreSim.reset()
+		  combo.reset()
+		  audio.start()
+		} else {
+		  audio.play()
+		}
+	  } else if (game.phase === 'paused') {
+		audio.pause()
+	  } else if (game.phase === 'results') {
+		audio.stop()
+	  } else if (game.phase === 'attract' && game.from === 'results') {
+		combo.reset()
+		audio.play()   // attract loop again (muted until unlocked)
+		if ((songs?.length ?? 0) > 1) setSong(null)
+	  }
+	}, [game.phase, game.from, audio, songs, combo, scoreSim])
+
+	// the song ending finishes the round; in attract it just loops
+	useEffect(() => audio.on('ended', () => {
+	  if (game.phase === 'attract') { audio.seek(0); audio.play() }
+	  else send('end')
+	}), [audio, game.phase, send])
+
+	// hidden tab → pause; results go back to attract when nobody plays again
+	useEffect(() => {
+	  const onVis = () => { if (document.visibilityState === 'hidden') send('pause') }
+	  document.addEventListener('visibilitychange', onVis)
+	  return () => document.removeEventListener('visibilitychange', onVis)
+	}, [send])
+	useEffect(() => {
+	  if (game.phase !== 'results' || entry) return
+	  const id = setTimeout(() => send('restart'), RESULTS_IDLE_MS)
+	  return () => clearTimeout(id)
+	}, [game.phase, entry, send])
+
+	// camera player walked away mid-song → pause
+	useEffect(() => {
+	  if (game.phase !== 'playing' || !usesPose || tracking !== 'none') return
+	  const id = setTimeout(() => send('pause'), LOST_PAUSE_MS)
+	  return () => clearTimeout(id)
+	}, [game.phase, usesPose, tracking, send])
 	
 // helpers (top-level or near where you compute dynamic values)
 	const response = (mv, dead=20, sens=180) => {
@@ -1652,42 +5133,59 @@ export default function App() {
 	const MOON_BASE = 5,  MOON_MAX = 8
 	const SPIN_BASE = 0.1, SPIN_MAX = 0.8 // give yourself headroom
 
+	const curveK = profile.sens / 180   // profile curves are relative to the casual 180
 	const { dynamicMoonSize, dynamicRingSpin } = React.useMemo(() => {
-	  const tSize = response(motionValue, 20, 260) // smoother size
-	  const tSpin = response(motionValue, 20, 160) // snappier spin
+	  const tSize = response(motionValue, profile.dead, 260 * curveK) // smoother size
+	  const tSpin = response(motionValue, profile.dead, 160 * curveK) // snappier spin
 	  return {
 		dynamicMoonSize: THREE.MathUtils.lerp(MOON_BASE, MOON_MAX, tSize),
 		dynamicRingSpin: THREE.MathUtils.lerp(SPIN_BASE, SPIN_MAX, tSpin),
 	  }
-	}, [motionValue])
+	}, [motionValue, profile.dead, curveK])
 
 	// === Motion → Rain (two-stage mapping) ===
 	// tweakables
-	const RAIN_MIN_COUNT = 120;
-	const RAIN_MAX_COUNT = 1000;
+	const RAIN_MIN_COUNT = songCfg.rain?.minCount ?? 120;
+	const RAIN_MAX_COUNT = songCfg.rain?.maxCount ?? 1000;
 	const RAIN_MIN_OP = 0.16;
 	const RAIN_MAX_OP = 0.75;
 	const RAIN_SPLIT = 0.5;        // 0..1  →  % of "energy" spent on opacity before count
-	const RAIN_SENS = 200;         // bigger = needs more motion to max out
-
-	// reuse your response() helper to get a 0..1 "energy" from motionValue
+	const RAIN_SENS = songCfg.rain?.sens ?? profile.rainSens;   // bigger = needs more motion to max out
+	const RAIN_JUMP_BOOST = 120;   // extra "motion" right after a real jump
+	const RAIN_JUMP_DECAY = 1500;  // ms for that boost to fade
+
+	// same mapping in the score sim (rain field count) as for the visuals here
+	const rainMixCfg = React.useMemo(() => ({
+	  minCount: RAIN_MIN_COUNT, maxCount: RAIN_MAX_COUNT,
+	  minOpacity: RAIN_MIN_OP, maxOpacity: RAIN_MAX_OP,
+	  split: RAIN_SPLIT, sens: RAIN_SENS,
+	  jumpBoost: RAIN_JUMP_BOOST, jumpDecay: RAIN_JUMP_DECAY,
+	}), [RAIN_MIN_COUNT, RAIN_MAX_COUNT, RAIN_SENS]);
+
+	// 0..1 "energy" from motionValue; deadzone 0 so even tiny movement grows a little
 	const tRain = React.useMemo(() => {
-	  // deadzone 0 so even tiny movement grows a little (change if you want)
-	  return 1 - Math.exp(-Math.max(0, motionValue) / RAIN_SENS);
-	}, [motionValue]);
-
-	let dynamicRainOpacity, dynamicRainCount;
-	if (tRain <= RAIN_SPLIT) {
-	  // Phase A: only opacity grows (count fixed at min)
-	  const k = tRain / Math.max(1e-6, RAIN_SPLIT); // 0..1
-	  dynamicRainOpacity = THREE.MathUtils.lerp(RAIN_MIN_OP, RAIN_MAX_OP, k);
-	  dynamicRainCount   = RAIN_MIN_COUNT;
-	} else {
-	  // Phase B: opacity pinned max, count grows
-	  const k = (tRain - RAIN_SPLIT) / Math.max(1e-6, (1 - RAIN_SPLIT)); // 0..1
-	  dynamicRainOpacity = RAIN_MAX_OP;
-	  dynamicRainCount   = Math.round(THREE.MathUtils.lerp(RAIN_MIN_COUNT, RAIN_MAX_COUNT, k));
-	}
+	  // a real jump surges the rain for a moment (re-evaluated as motionValue ticks)
+	  const since = lastJump ? performance.now() - lastJump.landing : Infinity
+	  return rainEnergy(motionValue, lastJump, since, rainMixCfg);
+	}, [motionValue, lastJump, rainMixCfg]);
+
+	const songRain = { ...rain, ...songCfg.rain }   // per-song look (speed, wind, color…)
+	const rainCatcher = useMemo(() => makeRainCatcher({ clock: audio.time }), [audio])   // jumps catch drops → score
+	const rainField = useMemo(() => makeRainField({ catcher: rainCatcher }), [rainCatcher])   // stepped by scoreSim in a round
+	useEffect(() => { rainField.density(rainMixCfg) }, [rainField, rainMixCfg])
+
+	// Pu mini-game (camera/replay only): a falling sprite caught with a wrist is a bonus
+	const PU_BONUS = 50
+	const puGame = gameActive && usesPose
+	const [puCatch, setPuCatch] = useState(null)      // { t, points } for the callout
+	const puShown = useFlash(puCatch, 1200, puCatch?.t)
+	const onPuCatch = React.useCallback(({ t }) => {
+	  const points = Math.round(PU_BONUS * profileRef.current.score * combo.getState().mult)
+	  scoreSim.add(points)
+	  setPuCatch({ t, points })
+	}, [combo, scoreSim])
+
+	const { opacity: dynamicRainOpacity, count: dynamicRainCount } = rainMix(tRain, rainMixCfg);
 	
 	const cloudImages = useMemo(() =>
 	  Array.from({ length: 24 }, (_, i) => `${BASE}img/Cl${i + 1}.png`),
@@ -1729,7 +5227,77 @@ export default function App() {
   return (
     <>
 	{/* MediaPipe Pose movement detector */}
-	<MotionDetector onChange={setMotionValue} />
+	{settingsReady && <InputProvider
+	  provider={input.provider}
+	  replayUrl={input.replayUrl}
+	  recorder={showRecorder ? poseRecorder : null}
+	  inferenceFps={perf.inferenceFps}
+	  useWorker={perf.poseWorker}
+	  deviceId={camDevice}
+	  retryKey={camRetry}
+	  onStatus={onCamStatus}
+	  onTracking={setTracking}
+	  feed={preview.skeleton ? previewFeed : null}
+	  onSignal={preview.skeleton ? previewFeed.onSignal : undefined}
+	  hands={handTracker}
+	  showVideo={preview.video}
+	  onFallback={onInputFallback}
+	  onChange={onMotion}
+	  onJump={onJump}
+	  onAir={rainCatcher.air}       // takeoff → the catch zone opens mid-air
+	  calibration={calibration}
+	  onCalibration={onCalibration}
+	  onCalibrationProgress={setCalibState}
+	  onGesture={onGesture}
+	  filters={filters}
+	  assetPolicy={assetPolicy}
+	/>}
+	{usesCamera && camStatus.phase === 'assets-missing' && (
+	  <AssetErrorScreen
+		status={camStatus}
+		policy={assetPolicy}
+		onRetry={retryCamera}
+		onContinue={() => onInputFallback(Object.assign(new Error(camStatus.message), { name: 'AssetError' }))}
+	  />
+	)}
+	{(usesCamera || input.fellBack) && (
+	  <CameraStatusOverlay
+		status={camStatus}
+		tracking={tracking}
+		showTracking={!!calibration}
+		fellBack={input.fellBack}
+		deviceId={camDevice}
+		onDevice={onCamDevice}
+		onRetry={retryCamera}
+	  />
+	)}
+	{usesPose && preview.skeleton && <SkeletonPreview feed={previewFeed} bottom={preview.video && usesCamera ? 204 : 12} />}
+	{usesPose && !calibration && <CalibrationGuide progress={calibState.progress} hint={calibState.hint} />}
+	{game.phase === 'attract' && !song && songs?.length > 1 && (!usesPose || calibration) && (
+	  <SongPicker songs={songs} gestures={gestureBus} jump={lastJump} onPick={(x) => { setSong(x); seenJumpRef.current = lastJump?.id ?? 0; startRound() }} />
+	)}
+	{game.phase === 'attract' && song && (!usesPose || calibration) && (
+	  <PhaseBanner title="Rain in Halloween" sub={`${activeSong.title} — jump to start`} />
+	)}
+	{game.phase === 'attract' && (!usesPose || calibration) && (
+	  <DifficultyPicker value={difficulty} gestures={gestureBus} onChange={onDifficulty} />
+	)}
+	{game.phase === 'countdown' && <PhaseBanner big={countdown} sub="get ready…" />}
+	{game.phase === 'paused' && (
+	  <PhaseBanner title="Paused" sub={usesPose && tracking === 'none' ? 'step back into view and jump to resume' : 'jump or press P to resume'} />
+	)}
+	{game.phase === 'results' && (
+	  <PhaseBanner title="Results" sub={`${score} points · ${activeSong.title}${entry ? '' : ' — jump or press Enter to play again'}`} />
+	)}
+	{game.phase === 'results' && entry && <InitialsEntry gestures={gestureBus} jump={lastJump} onDone={onInitials} />}
+	{(game.phase === 'attract' || game.phase === 'results') && (!usesPose || calibration) && (
+	  <LeaderboardPanel entries={topScores} title={`Top ${LEADERBOARD_SIZE} · ${activeSong.title} · ${difficulty}`} highlight={savedId} />
+	)}
+	{showAdmin && <LeaderboardAdmin board={leaderboard} />}
+	{usesCamera && showRecorder && <PoseRecorderPanel recorder={poseRecorder} meta={{ calibration }} />}
+	<VolumePanel volume={volume} onChange={onVolume} bottom={usesCamera && showRecorder ? 56 : 12} />
+	{songRain.enabled && <RainAmbience intensity={tRain} />}
+	{puGame && <HandCursors hands={handTracker} />}
 	<div style={{
 	  position: 'fixed',
 	  top: 12,
@@ -1743,13 +5311,31 @@ export default function App() {
 	  pointerEvents: 'none'
 	}}>
 	  <div>Score: {score}</div>
-	  {!gameActive && <div style={{ color: '#aaa' }}>game over</div>}
+	  {gameActive && <ComboMeter combo={combo} clock={audio.time} />}
+	  {game.phase === 'results' && <div style={{ color: '#aaa' }}>game over</div>}
+	  {!audioState.unlocked && <div style={{ color: '#aaa' }}>🔇 tap or press a key for sound</div>}
+	  {gameActive && beats && <div style={{ color: '#aaa' }}>♪ {Math.round(beats.bpm)} bpm</div>}
+	  {gameActive && timingShown && (
+		<div style={{ color: TIMING_GRADES.find(g => g.grade === timingShown.timing.grade).color, fontWeight: 700 }}>
+		  {timingShown.timing.grade.toUpperCase()} ×{timingShown.timing.mult}
+		</div>
+	  )}
+	  {puGame && puShown && (
+		<div style={{ color: '#9dff8a', fontWeight: 700 }}>✋ caught a Pu! +{puShown.points}</div>
+	  )}
+	  {!usesPose && (
+		<div style={{ color: '#aaa' }}>
+		  {input.fellBack && 'no camera — '}
+		  {{ keyboard: 'Space', pointer: 'click/tap', gamepad: 'gamepad A' }[input.provider] ?? 'Space / click / gamepad A'} = jump
+		</div>
+	  )}
 	</div>
 
 
 		<audio
 		  ref={audioRef}
-		  src={`${BASE}FunnyHalloween.mp3`}
+		  src={songAsset(activeSong.audio)}
+		  crossOrigin="anonymous"   // routed through Web Audio: remote songs need CORS or they play silent
 		  preload="auto"
 		  autoPlay
 		  playsInline
@@ -1763,13 +5349,9 @@ export default function App() {
         camera={{ position: [0, 2, 0], fov: 60, near: 0.1, far: 4000 }}
         gl={{ antialias: true, alpha: false }}
       >
+        <RenderPacer fps={perf.renderFps} />
+        <AudioListenerSync />
         <ambientLight intensity={0.2} />
-		<ScoreTicker
-		   gameActive={gameActive}
-		   motionValue={motionValue}
-		   scoreRef={scoreRef}
-		   setScore={setScore}
-		 />
 
         <Suspense fallback={null}>
           {/* Images arranged in a circle; per-image size & y come from imgItems */}
@@ -1789,8 +5371,8 @@ export default function App() {
 			color="#ffffff"
 			cloudY={20}
 			cloudRadius={40}
-			minDelay={0.06}
-			maxDelay={0.08}
+			minDelay={0.06 / (1 + 0.5 * comboLevelNow)}   // combo → more frequent strikes
+			maxDelay={0.08 / (1 + 0.5 * comboLevelNow)}
 			minDur={0.18}
 			maxDur={0.36}
 			minVerticality={0.98}
@@ -1800,21 +5382,48 @@ export default function App() {
 			power={8}
 			flashPower={1200}
 			seed={1337}
+			gestures={gestureBus}
+			onStrike={thunder.play}
+			{...songCfg.lightning}
 		  />
 
 		<Rain
-		  enabled={rain.enabled}
+		  enabled={songRain.enabled}
 		  count={dynamicRainCount}      // ⟵ wired
-		  areaRadius={rain.areaRadius}
-		  areaHeight={rain.areaHeight}
+		  areaRadius={songRain.areaRadius}
+		  areaHeight={songRain.areaHeight}
 		  groundY={env.yBase}
-		  speed={rain.speed}
-		  length={rain.length}
-		  windX={rain.windX}
-		  windZ={rain.windZ}
-		  color={rain.color}
+		  speed={songRain.speed}
+		  length={songRain.length}
+		  windX={songRain.windX}
+		  windZ={songRain.windZ}
+		  color={songRain.color}
 		  opacity={dynamicRainOpacity}  // ⟵ wired
+		  maxCount={RAIN_MAX_COUNT}
+		  field={rainField}
+		  simulated={gameActive || game.phase === 'paused'}   // the sim steps it in a round
+		/>
+		<CatchZone
+		  catcher={rainCatcher}
+		  jump={lastJump}
+		  enabled={songRain.enabled && gameActive}
+		  groundY={env.yBase}
 		/>
+		{/* after CatchZone: zones opened by this frame's input are in place before the sim steps */}
+		<ScoreTicker
+		   sim={scoreSim}
+		   clock={audio.time}             // song time → same score on any frame rate
+		   gameActive={gameActive}
+		   jump={lastJump}
+		   rain={songRain.enabled ? rainField : null}
+		   catcher={rainCatcher}
+		   combo={combo}
+		   dropPoints={(songCfg.score?.dropPoints ?? 5) * profile.score}
+		   rate={(songCfg.score?.rate ?? (songRain.enabled ? 0 : 60)) * profile.score}   // no rain → motion trickle
+		   jumpBonus={(songCfg.score?.jumpBonus ?? 0) * profile.score}
+		   dead={profile.dead}
+		   sens={profile.sens}
+		 />
 
 
         <Suspense fallback={null}>
@@ -1862,21 +5471,25 @@ export default function App() {
 			  heightOffset={puRing.heightOffset}
 			  size={puRing.size}
 			  opacity={1}
-			  audioRef={audioRef}          // NEW
-			  spectrum={spec}              // NEW (loaded JSON)
+			  clock={audio.time}
+			  spectrum={spec ?? (specLive ? liveSpec : null)}   // loaded JSON, else live analysis
+			  numBands={specMeta?.num_bands ?? 16}
 			  jumpAmp={3}                // tweak to taste
 			  scalePulse={0.36}
 			  smooth={0.3}
+			  hands={puGame ? handTracker : null}
+			  onCatch={onPuCatch}
 			/>
 			<BatsJumpHtml
 			  gifUrl={`${BASE}img/bat.gif`}
-			  count={8}
+			  count={8 + 2 * comboLevelNow}   // combo → more bats
 			  radius={outerMountainRadius}  // ⟵ stays on the mountains ring
 			  baseY={18}
 			  pixelWidth={240}
 			  motion={motionValue}          // ⟵ wire your movement metric
-			  dead={20}
-			  sens={220}
+			  jump={lastJump}               // ⟵ hop on real jumps
+			  dead={profile.dead}
+			  sens={220 * curveK}
 			  maxJump={8}
 			  wobbleAmp={0.6}
 			  wobbleFreq={2.0}
@@ -1900,8 +5513,8 @@ export default function App() {
 		  enablePan={false}
 		  enableDamping
 		  dampingFactor={0.1}
-		  autoRotate={autoRotate}
-		  autoRotateSpeed={autoRotateSpeedFromMotion} 
+		  autoRotate={autoRotate && PHASE_CAMERA[game.phase].rotate}
+		  autoRotateSpeed={steer * (PHASE_CAMERA[game.phase].speed ?? autoRotateSpeedFromMotion)} 
 
 		  // NEW: look straight ahead from y=2
 		  target={[1, 2.1, 0]}
@@ -0,0 +1,80 @@
+// src/poseWorker.js
+/* global importScripts */
+// MediaPipe Pose off the render thread. Classic worker (importScripts).
+//
+// main → worker:  { type:'init', base, options }
+//                 { type:'frame', bitmap: ImageBitmap, t }
+//                 { type:'close' }
+// worker → main:  { type:'ready' } | { type:'error', message }
+//                 { type:'results', lm: [{x,y,z,visibility}] | null, t }
+
+/* -------------------- minimal DOM shim for pose.js -------------------- */
+// pose.js loads its wasm loader via <script> tags and draws into a <canvas>;
+// map those onto importScripts + OffscreenCanvas.
+if (typeof self.document === 'undefined') {
+  const head = {
+    appendChild(el) {
+      try { if (el.src) importScripts(el.src); el.onload?.() }
+      catch (e) { el.onerror?.(e) }
+      return el
+    }
+  }
+  self.document = {
+    head,
+    body: head,
+    currentScript: null,
+    createElement(tag) {
+      if (tag === 'canvas') return new OffscreenCanvas(1, 1)
+      return { tagName: String(tag).toUpperCase(), setAttribute() {}, addEventListener() {} }
+    },
+    querySelector: () => null,
+    addEventListener() {}
+  }
+  self.window = self
+}
+
+let pose = null
+let frameT = 0
+
+const plain = (lm) => lm
+  ? lm.map(p => ({ x: p.x, y: p.y, z: p.z, visibility: p.visibility }))
+  : null
+
+async function init({ base, options }) {
+  importScripts(`${base}pose.js`)
+  const PoseNS = self.Pose || self.pose
+  const PoseCtor = PoseNS?.Pose || PoseNS
+  if (typeof PoseCtor !== 'function') throw new Error('Pose constructor not found')
+
+  pose = new PoseCtor({ locateFile: (f) => base + f })
+  pose.onResults((res) => {
+    self.postMessage({ type: 'results', lm: plain(res.poseLandmarks), t: frameT })
+  })
+  if (typeof pose.initialize === 'function') await pose.initialize()
+  pose.setOptions(options)
+}
+
+self.onmessage = async (e) => {
+  const msg = e.data
+  if (msg.type === 'init') {
+    try {
+      await init(msg)
+      self.postMessage({ type: 'ready' })
+    } catch (err) {
+      self.postMessage({ type: 'error', message: String(err?.message || err) })
+    }
+  } else if (msg.type === 'frame') {
+    frameT = msg.t
+    try {
+      await pose.send({ image: msg.bitmap })
+    } catch (err) {
+      // keep the main thread's pump moving: an empty result = "no person"
+      self.postMessage({ type: 'results', lm: null, t: msg.t, error: String(err?.message || err) })
+    } finally {
+      msg.bitmap.close?.()
+    }
+  } else if (msg.type === 'close') {
+    try { pose?.close() } catch (err) { console.warn('[poseWorker] close failed:', err) }
+    pose = null
+  }
+}